@@ -12,7 +12,64 @@
 const CONFIG = {
     scrollThrottle: 100, // ms para throttling de scroll
     animationDuration: 300, // ms para animaciones
-    debounceDelay: 250 // ms para debounce de resize
+    debounceDelay: 250, // ms para debounce de resize
+    caseStudiesUrl: 'case-studies.json', // Fuente única de datos de proyectos
+    caseRouteParam: 'case', // Parámetro de URL para enlazar un case study (?case=<id>)
+    filterTagParam: 'tag', // Parámetro de URL repetible con las etiquetas activas
+    sortParam: 'sort', // Parámetro de URL con el orden del grid
+    searchParam: 'q', // Parámetro de URL con la búsqueda activa
+    defaultLocale: 'es', // Idioma base: todo texto tiene versión en español
+    supportedLocales: ['es', 'en'],
+    localeStorageKey: 'portfolio-locale', // Preferencia de idioma elegida por el visitante
+    themeStorageKey: 'portfolio-theme', // Debe coincidir con el script inline del <head>
+    motionStorageKey: 'portfolio-motion', // Debe coincidir con el script inline del <head>
+    outboxStorageKey: 'portfolio-outbox', // Mensajes pendientes de envío
+    outboxLockKey: 'portfolio-outbox-lock', // Evita que dos pestañas envíen la misma cola
+    outboxLockTtl: 30000, // ms que una pestaña retiene la cola (o un mensaje) mientras envía
+    contactRequestTimeout: 20000, // ms máximos por envío; debe ser menor que outboxLockTtl
+    outboxRetryBase: 5000, // ms del primer reintento; se duplica en cada fallo
+    outboxRetryMax: 300000, // ms máximos entre reintentos (5 minutos)
+    outboxMaxAge: 7 * 24 * 60 * 60 * 1000, // ms tras los que un mensaje pendiente se descarta
+    spamMinFillTime: 3000, // ms mínimos entre la primera interacción y el envío
+    spamRateLimit: 3, // Envíos máximos por navegador dentro de la ventana
+    spamRateWindow: 15 * 60 * 1000, // ms de la ventana de rate limit
+    spamRateKey: 'portfolio-submit-log', // Marcas de tiempo de los últimos envíos
+    spamMaxLinks: 2, // Enlaces máximos permitidos en el mensaje
+    spamLogKey: 'portfolio-spam-log', // Intentos bloqueados, para revisar falsos positivos
+    spamLogSize: 20, // Intentos bloqueados que se conservan
+    spamPowDifficulty: 0, // Bits a cero de la prueba de trabajo (0 = desactivada)
+    draftStorageKey: 'portfolio-contact-draft', // Borrador autoguardado del formulario
+    draftSaveDelay: 500, // ms de pausa al escribir antes de guardar el borrador
+    draftMaxAge: 7 * 24 * 60 * 60 * 1000, // ms tras los que un borrador se descarta
+    briefMaxLinks: 5, // Enlaces de referencia máximos en el brief
+    briefMaxFiles: 3, // Adjuntos máximos por brief
+    briefMaxFileSize: 5 * 1024 * 1024, // bytes máximos por adjunto
+    briefMaxTotalSize: 10 * 1024 * 1024, // bytes máximos sumando todos los adjuntos
+    briefFileTypes: ['application/pdf', 'image/png', 'image/jpeg', 'image/webp'], // Debe coincidir con accept del input
+    disposableEmailApi: null, // URL a la que se añade el dominio, p. ej. 'https://open.kickbox.com/v1/disposable/' (null = solo lista local)
+    toastMaxVisible: 3, // Notificaciones visibles a la vez; el resto espera en cola
+    toastMinResume: 2000, // ms mínimos que sigue visible una notificación tras pausarla
+    analyticsSinks: [], // Destinos de eventos: 'console', 'endpoint' y/o 'storage' (vacío = sin analítica)
+    analyticsEndpoint: null, // URL propia que recibe los lotes por sendBeacon (sink 'endpoint')
+    analyticsBatchSize: 10, // Eventos acumulados que fuerzan el envío del lote
+    analyticsFlushInterval: 10000, // ms máximos que un evento espera en la cola
+    analyticsStorageKey: 'portfolio-analytics', // Eventos guardados por el sink 'storage'
+    analyticsStorageSize: 200, // Eventos que conserva el sink 'storage'
+    consentStorageKey: 'portfolio-consent', // Categorías aceptadas por el visitante
+    consentVersion: 1, // Subir al cambiar la política: vuelve a pedir el consentimiento
+    consentMaxAge: 180 * 24 * 60 * 60 * 1000, // ms tras los que se vuelve a preguntar (6 meses)
+    externalFontsUrl: 'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&family=Inter:wght@300;400;500;600&display=swap',
+    chatbaseId: 'oaHLidedYnpMPYXxZ7E-t', // Identificador del bot de Chatbase
+    chatbaseScriptUrl: 'https://www.chatbase.co/embed.min.js',
+    lightboxZoom: 2, // Zoom al ampliar con doble clic o el botón del lightbox
+    lightboxMaxZoom: 4, // Zoom máximo con la rueda o el teclado
+    imageWidths: [320, 480, 640, 960, 1280, 1600], // px de las variantes ofrecidas en srcset
+    imageDefaultWidth: 960, // px de la variante usada como src (navegadores sin srcset)
+    imagePlaceholderWidth: 32, // px del placeholder borroso (LQIP) mientras carga la imagen
+    serviceWorkerUrl: 'sw.js', // Service worker de la versión instalable (null = desactivado)
+    scrollSpyOffset: 80, // px del navbar fijo que tapan la parte alta de cada sección
+    scrollSpyUpdateHash: false, // Reflejar la sección visible en el hash de la URL
+    swipeThreshold: 50 // px mínimos para reconocer un swipe horizontal
 };
 
 // Cache de elementos DOM para mejor performance
@@ -21,19 +78,67 @@ const DOM = {
     navMenu: null,
     hamburger: null,
     navLinks: null,
+    langSwitcher: null,
+    themeToggle: null,
+    motionToggle: null,
     contactForm: null,
     modal: null,
     modalOverlay: null,
     modalClose: null,
+    modalDialog: null,
     modalContent: null,
-    projectCards: null
+    modalNav: null,
+    modalPrev: null,
+    modalNext: null,
+    modalPosition: null,
+    modalAnnouncer: null,
+    projectsGrid: null,
+    projectCards: null,
+    projectsToolbar: null,
+    projectsSearch: null,
+    filterBar: null,
+    projectsSort: null,
+    filtersClear: null,
+    filtersCount: null,
+    formSteps: [],
+    wizardProgress: null,
+    wizardStatus: null,
+    wizardNav: null,
+    wizardBack: null,
+    wizardNext: null,
+    wizardReview: null,
+    attachmentList: null,
+    toastRegion: null,
+    consentBanner: null,
+    consentDialog: null,
+    consentForm: null,
+    consentManage: null,
+    lightbox: null,
+    lightboxStage: null,
+    lightboxCaption: null,
+    lightboxCounter: null,
+    lightboxClose: null,
+    lightboxPrev: null,
+    lightboxNext: null,
+    lightboxZoom: null
 };
 
 // Estado de la aplicación
 const state = {
+    locale: 'es',
+    theme: 'system',
+    motion: 'system',
+    reducedMotion: false,
     isMenuOpen: false,
     isModalOpen: false,
     currentProject: null,
+    modalTrigger: null,
+    formStep: 1,
+    filters: {
+        tags: [],
+        sort: 'default',
+        query: ''
+    },
     scrollPosition: 0
 };
 
@@ -50,14 +155,29 @@ document.addEventListener('DOMContentLoaded', function() {
     
     // Inicializar módulos en orden de dependencia
     initializeDOM();
+    initializeI18n();
+    initializeTheme();
+    initializeMotion();
+    initializeResponsiveImages();
+    initializeNotifications();
+    initializeConsent();
     initializeNavigation();
     initializeSmoothScroll();
     initializeForm();
+    initializeFormWizard();
+    initializeOutbox();
+    initializeFormDraft();
     initializeModals();
+    initializeLightbox();
+    initializeChat();
     initializeScrollAnimations();
+    initializeCaseStudies();
+    initializeCaseStudyRouting();
     initializePerformanceOptimizations();
+    initializeServiceWorker();
     
     console.log('✅ Todas las funcionalidades cargadas correctamente');
+    emit('ready', getPublicState());
 });
 
 // ========================================
@@ -73,20 +193,843 @@ function initializeDOM() {
     DOM.navMenu = document.getElementById('nav-menu');
     DOM.hamburger = document.getElementById('hamburger');
     DOM.navLinks = document.querySelectorAll('.nav-link');
+    DOM.langSwitcher = document.getElementById('lang-switcher');
+    DOM.themeToggle = document.getElementById('theme-toggle');
+    DOM.motionToggle = document.getElementById('motion-toggle');
     DOM.contactForm = document.getElementById('contactForm');
     DOM.modal = document.getElementById('case-study-modal');
     DOM.modalOverlay = document.getElementById('modal-overlay');
     DOM.modalClose = document.getElementById('modal-close');
+    DOM.modalDialog = DOM.modal ? DOM.modal.querySelector('.modal-content') : null;
     DOM.modalContent = document.getElementById('case-study-content');
+    DOM.modalNav = document.getElementById('modal-nav');
+    DOM.modalPrev = document.getElementById('modal-prev');
+    DOM.modalNext = document.getElementById('modal-next');
+    DOM.modalPosition = document.getElementById('modal-position');
+    DOM.modalAnnouncer = document.getElementById('modal-announcer');
+    DOM.projectsGrid = document.getElementById('projects-grid');
     DOM.projectCards = document.querySelectorAll('.project-card');
+    DOM.projectsToolbar = document.getElementById('projects-toolbar');
+    DOM.projectsSearch = document.getElementById('projects-search');
+    DOM.filterBar = document.getElementById('filter-bar');
+    DOM.projectsSort = document.getElementById('projects-sort');
+    DOM.filtersClear = document.getElementById('filters-clear');
+    DOM.filtersCount = document.getElementById('filters-count');
+    DOM.formSteps = document.querySelectorAll('#contactForm .form-step');
+    DOM.wizardProgress = document.getElementById('wizard-progress');
+    DOM.wizardStatus = document.getElementById('wizard-status');
+    DOM.wizardNav = document.getElementById('wizard-nav');
+    DOM.wizardBack = document.getElementById('wizard-back');
+    DOM.wizardNext = document.getElementById('wizard-next');
+    DOM.wizardReview = document.getElementById('wizard-review');
+    DOM.attachmentList = document.getElementById('attachment-list');
+    DOM.toastRegion = document.getElementById('toast-region');
+    DOM.consentBanner = document.getElementById('consent-banner');
+    DOM.consentDialog = document.getElementById('consent-dialog');
+    DOM.consentForm = document.getElementById('consent-form');
+    DOM.consentManage = document.getElementById('consent-manage');
+    DOM.lightbox = document.getElementById('lightbox');
+    DOM.lightboxStage = document.getElementById('lightbox-stage');
+    DOM.lightboxCaption = document.getElementById('lightbox-caption');
+    DOM.lightboxCounter = document.getElementById('lightbox-counter');
+    DOM.lightboxClose = document.getElementById('lightbox-close');
+    DOM.lightboxPrev = document.getElementById('lightbox-prev');
+    DOM.lightboxNext = document.getElementById('lightbox-next');
+    DOM.lightboxZoom = document.getElementById('lightbox-zoom');
     
     console.log('📋 Elementos DOM cacheados:', Object.keys(DOM).length);
 }
 
+// ========================================
+// INTERNACIONALIZACIÓN (i18n)
+// ========================================
+
+// Catálogos de mensajes por idioma; las claves ausentes caen al español
+const I18N_MESSAGES = {
+    es: {
+        'meta.title': 'John Rodríguez - Diseño Gráfico Estratégico',
+        'meta.description': 'Diseño gráfico estratégico que impulsa marcas. John Alejandro Rodríguez - Especialista en identidad visual y UX/UI para empresas que buscan impacto real',
+        
+        'nav.home': 'Inicio',
+        'nav.about': 'Sobre Mí',
+        'nav.projects': 'Proyectos',
+        'nav.contact': 'Contacto',
+        'nav.cta': 'Hablemos de tu proyecto',
+        'nav.menu': 'Menú de navegación',
+        'nav.language': 'Idioma',
+        
+        'theme.light': 'Tema: claro',
+        'theme.dark': 'Tema: oscuro',
+        'theme.system': 'Tema: automático (sistema)',
+        'motion.reduce': 'Reducir movimiento',
+        
+        'hero.title': 'Diseño Gráfico Estratégico que Impulsa Marcas',
+        'hero.role': 'Especialista en Identidad Visual y UX/UI',
+        'hero.description': 'Transformo ideas complejas en experiencias visuales que conectan emocionalmente con tu audiencia y generan resultados medibles para tu negocio.',
+        'hero.ctaProjects': 'Ver Proyectos Recientes',
+        'hero.ctaContact': 'Consulta Gratuita',
+        'hero.imageAlt': 'John Alejandro Rodríguez - Diseñador Gráfico Estratégico',
+        
+        'about.title': 'La Propuesta de Valor',
+        'about.description': 'Con más de 6 años transformando marcas, me especializo en crear identidades visuales que no solo se ven bien, sino que generan conexión emocional y resultados de negocio medibles.',
+        'about.exp1.title': 'Diseñador Gráfico Senior',
+        'about.exp1.period': '2022 - Presente',
+        'about.exp1.achievement': '+40% incremento en conversión de clientes',
+        'about.exp2.title': 'Especialista en Branding',
+        'about.exp2.achievement': '+25 marcas reposicionadas exitosamente',
+        'about.exp3.title': 'Consultor',
+        'about.exp3.achievement': '+60 proyectos de diseño digital',
+        'about.skillsTitle': 'Stack de Habilidades',
+        'about.skills.strategy': 'Estrategia',
+        'about.skills.tools': 'Herramientas',
+        'about.skills.specialties': 'Especialidades',
+        'about.skills.methodologies': 'Metodologías',
+        
+        'projects.title': 'Case Studies Estratégicos',
+        'projects.subtitle': 'Proyectos que demuestran impacto real en el negocio del cliente',
+        'projects.searchLabel': 'Buscar en los case studies',
+        'projects.searchPlaceholder': 'Busca por cliente, sector o servicio (ej. packaging)',
+        'projects.filterLabel': 'Filtrar proyectos por etiqueta',
+        'projects.sortLabel': 'Ordenar por',
+        'projects.sortDefault': 'Destacados',
+        'projects.sortTitle': 'Título (A-Z)',
+        'projects.sortDuration': 'Duración',
+        'projects.clear': 'Limpiar filtros',
+        'projects.cta': 'Ver Case Study',
+        'projects.cardLabel': 'Ver case study: {title}',
+        'projects.loadError': 'No se pudieron cargar los proyectos. Por favor, recarga la página.',
+        'projects.countAll': 'Mostrando los {total} proyectos',
+        'projects.countSome': 'Mostrando {visible} de {total} proyectos',
+        'projects.countNone': 'Ningún proyecto coincide con los filtros seleccionados',
+        'projects.resultsOne': '1 resultado para "{query}"',
+        'projects.resultsMany': '{count} resultados para "{query}"',
+        
+        'modal.close': 'Cerrar modal',
+        'modal.prev': 'Proyecto anterior',
+        'modal.next': 'Proyecto siguiente',
+        'modal.client': 'Cliente:',
+        'modal.duration': 'Duración:',
+        'modal.role': 'Rol:',
+        'modal.objective': 'Objetivo',
+        'modal.problem': 'El Problema',
+        'modal.process': 'Proceso',
+        'modal.solution': 'La Solución',
+        'modal.results': 'Resultados',
+        'modal.gallery': 'Galería',
+        'modal.loadError': 'No se pudo cargar este proyecto. Inténtalo de nuevo más tarde.',
+        'modal.announce': 'Case study cargado: {title}',
+        'modal.announcePosition': ', proyecto {current} de {total}',
+        
+        'contact.title': '¿Listo para Impulsar tu Marca?',
+        'contact.subtitle': 'Hablemos de tu proyecto y cómo puedo ayudarte a alcanzar tus objetivos de negocio',
+        'contact.role': 'Diseñador Gráfico Estratégico',
+        'contact.phone': 'Teléfono:',
+        'contact.email': 'Email:',
+        'contact.social': 'Conecta conmigo:',
+        
+        'form.title': 'Cuéntame sobre tu proyecto',
+        'form.subtitle': 'Responde en menos de 24 horas',
+        'form.nameLabel': 'Nombre completo *',
+        'form.namePlaceholder': 'Tu nombre completo',
+        'form.emailLabel': 'Correo electrónico *',
+        'form.emailPlaceholder': 'tu@email.com',
+        'form.messageLabel': 'Describe tu proyecto *',
+        'form.messagePlaceholder': 'Cuéntame sobre tu marca, objetivos y cómo puedo ayudarte...',
+        'form.companyLabel': 'Empresa o marca',
+        'form.companyPlaceholder': 'Nombre de tu empresa (opcional)',
+        'form.serviceLabel': 'Tipo de servicio *',
+        'form.service.brandIdentity': 'Identidad de marca',
+        'form.service.brandStrategy': 'Estrategia y rebranding',
+        'form.service.mobileUx': 'UX/UI de apps y e-commerce',
+        'form.service.saasDesign': 'Diseño de producto SaaS',
+        'form.service.campaign': 'Campaña publicitaria',
+        'form.service.packaging': 'Packaging',
+        'form.service.other': 'Otro',
+        'form.budgetLabel': 'Presupuesto estimado *',
+        'form.budgetPlaceholder': 'Selecciona un rango',
+        'form.budget.lt1000': 'Menos de 1.000 USD',
+        'form.budget.1000to3000': '1.000 - 3.000 USD',
+        'form.budget.3000to8000': '3.000 - 8.000 USD',
+        'form.budget.gt8000': 'Más de 8.000 USD',
+        'form.budget.undecided': 'Aún no lo sé',
+        'form.deadlineLabel': 'Fecha límite',
+        'form.linksLabel': 'Enlaces de referencia',
+        'form.linksPlaceholder': 'https://... (uno por línea)',
+        'form.linksHint': 'Webs, moodboards o marcas que te gusten. Máximo 5.',
+        'form.attachmentsLabel': 'Archivos adjuntos',
+        'form.attachmentsHint': 'PDF, PNG, JPG o WebP. Hasta 3 archivos de 5 MB (10 MB en total).',
+        'form.submit': 'Enviar Mensaje',
+        'form.sending': 'Enviando...',
+        'form.verifying': 'Verificando...',
+        'form.honeypotLabel': 'Deja este campo vacío',
+        'form.draftRestored': 'Recuperamos el borrador que dejaste sin enviar.',
+        'form.draftDiscard': 'Descartar borrador',
+        'form.disclaimer': 'Al enviar este formulario, aceptas que me ponga en contacto contigo.',
+        'form.successTitle': '¡Mensaje enviado correctamente!',
+        'form.successBody': 'Te contactaré en menos de 24 horas.',
+        'form.errorTitle': 'Error al enviar mensaje',
+        'form.errorsTitle': 'Revisa estos campos',
+        'form.errorBody': 'Hubo un error al enviar el mensaje. Por favor, inténtalo de nuevo o contáctame directamente.',
+        'form.mailtoBody': 'Se abrió tu aplicación de correo con el mensaje listo: solo tienes que enviarlo.',
+        'form.mailtoFallback': 'Enviar por correo electrónico',
+        'form.mailtoSubject': 'Nuevo proyecto - {nombre}',
+        'form.pendingTitle': 'Mensaje pendiente',
+        'form.pendingBody': 'Lo enviaré automáticamente cuando vuelvas a estar en línea.',
+        'form.pendingCount': '{count} mensajes pendientes. Los enviaré automáticamente cuando vuelvas a estar en línea.',
+        'form.attachmentsOffline': 'No se pudo enviar el brief. Los archivos adjuntos no se pueden guardar para más tarde: tu mensaje sigue en el formulario, vuelve a enviarlo cuando tengas conexión.',
+        
+        'wizard.progressLabel': 'Progreso del brief',
+        'wizard.stepContact': 'Contacto',
+        'wizard.stepProject': 'Proyecto',
+        'wizard.stepReferences': 'Referencias',
+        'wizard.stepReview': 'Revisión',
+        'wizard.contactTitle': '¿Quién eres?',
+        'wizard.projectTitle': 'Tu proyecto',
+        'wizard.referencesTitle': 'Referencias',
+        'wizard.reviewTitle': 'Revisa tu brief',
+        'wizard.status': 'Paso {step} de {total}: {title}',
+        'wizard.back': 'Atrás',
+        'wizard.next': 'Siguiente',
+        'wizard.edit': 'Editar',
+        'wizard.editField': 'Editar {field}',
+        'wizard.reviewEmpty': 'Sin indicar',
+        
+        'brief.nombre': 'Nombre',
+        'brief.email': 'Correo electrónico',
+        'brief.empresa': 'Empresa',
+        'brief.servicio': 'Servicio',
+        'brief.presupuesto': 'Presupuesto',
+        'brief.plazo': 'Fecha límite',
+        'brief.mensaje': 'Descripción',
+        'brief.enlaces': 'Enlaces de referencia',
+        'brief.adjuntos': 'Adjuntos',
+        
+        'validation.nameMin': 'El nombre debe tener al menos 2 caracteres',
+        'validation.namePattern': 'El nombre solo puede contener letras y espacios',
+        'validation.email': 'Por favor ingresa un email válido',
+        'validation.emailDisposable': 'Usa un correo permanente: no acepto direcciones temporales',
+        'validation.companyMax': 'El nombre de la empresa no puede superar los {value} caracteres',
+        'validation.messageMin': 'El mensaje debe tener al menos 10 caracteres',
+        'validation.serviceRequired': 'Elige el tipo de servicio que necesitas',
+        'validation.budgetRequired': 'Selecciona un rango de presupuesto',
+        'validation.deadlinePast': 'La fecha límite no puede estar en el pasado',
+        'validation.linksMax': 'Añade como máximo {max} enlaces',
+        'validation.linkInvalid': '"{link}" no es un enlace válido (debe empezar por https://)',
+        'validation.filesMax': 'Puedes adjuntar como máximo {max} archivos',
+        'validation.fileType': '"{name}" no es un tipo de archivo permitido (PDF, PNG, JPG o WebP)',
+        'validation.fileSize': '"{name}" supera el tamaño máximo de {max}',
+        'validation.filesTotal': 'Los adjuntos superan los {max} en total',
+        
+        'spam.tooFast': 'Has enviado el formulario demasiado rápido. Revisa tus datos y vuelve a intentarlo.',
+        'spam.rateLimited': 'Has enviado varios mensajes seguidos. Espera {minutes} minutos antes de enviar otro.',
+        'spam.content': 'Tu mensaje contiene demasiados enlaces o términos bloqueados. Revísalo o escríbeme por correo.',
+        
+        'toast.region': 'Notificaciones',
+        'toast.dismiss': 'Cerrar notificación',
+        
+        'consent.title': 'Tu privacidad',
+        'consent.body': 'Este sitio puede cargar fuentes de Google y un asistente de chat (Chatbase), y medir de forma anónima qué proyectos se visitan. Nada de eso se activa sin tu permiso.',
+        'consent.acceptAll': 'Aceptar todo',
+        'consent.rejectAll': 'Solo necesarias',
+        'consent.customize': 'Preferencias',
+        'consent.dialogTitle': 'Preferencias de privacidad',
+        'consent.necessary': 'Necesarias',
+        'consent.necessaryDesc': 'Idioma, tema, borrador del formulario y mensajes pendientes. Se guardan solo en este navegador.',
+        'consent.functional': 'Funcionales',
+        'consent.functionalDesc': 'Fuentes tipográficas de Google y el asistente de chat de Chatbase.',
+        'consent.analytics': 'Analítica',
+        'consent.analyticsDesc': 'Eventos anónimos de uso (proyectos abiertos, secciones vistas, pasos del formulario). Sin datos personales.',
+        'consent.save': 'Guardar preferencias',
+        'consent.rejectOptional': 'Rechazar opcionales',
+        'consent.manage': 'Preferencias de privacidad',
+        'consent.reloadTitle': 'Preferencias guardadas',
+        'consent.reloadBody': 'Algunos servicios ya cargados se retirarán al recargar la página.',
+        'consent.reload': 'Recargar ahora',
+        
+        'image.unavailable': 'Imagen no disponible',
+        
+        'gallery.label': 'Galería del proyecto',
+        'gallery.counter': '{current} de {total}',
+        'gallery.close': 'Cerrar galería',
+        'gallery.prev': 'Imagen anterior',
+        'gallery.next': 'Imagen siguiente',
+        'gallery.zoom': 'Ampliar imagen',
+        
+        'chat.askProject': 'Preguntar sobre este proyecto',
+        'chat.projectGreeting': '¡Hola! ¿Qué te gustaría saber sobre el proyecto «{title}»?',
+        'chat.formGreeting': 'El formulario no se pudo enviar, pero puedes contarme aquí qué necesitas.',
+        'chat.fallback': 'Escribir por el chat',
+        'chat.consentRequired': 'El chat necesita que aceptes los servicios funcionales.',
+        
+        'pwa.offlineReady': 'El portafolio ya se puede consultar sin conexión.',
+        'pwa.updateTitle': 'Nueva versión disponible',
+        'pwa.updateBody': 'Recarga para ver los últimos cambios del portafolio.',
+        'pwa.updateAction': 'Recargar',
+        
+        'footer.tagline': 'Diseño gráfico estratégico que impulsa marcas',
+        'footer.copyright': '© 2025 John Rodríguez – Todos los derechos reservados.'
+    },
+    en: {
+        'meta.title': 'John Rodríguez - Strategic Graphic Design',
+        'meta.description': 'Strategic graphic design that drives brands. John Alejandro Rodríguez - Visual identity and UX/UI specialist for companies seeking real impact',
+        
+        'nav.home': 'Home',
+        'nav.about': 'About',
+        'nav.projects': 'Projects',
+        'nav.contact': 'Contact',
+        'nav.cta': "Let's talk about your project",
+        'nav.menu': 'Navigation menu',
+        'nav.language': 'Language',
+        
+        'theme.light': 'Theme: light',
+        'theme.dark': 'Theme: dark',
+        'theme.system': 'Theme: automatic (system)',
+        'motion.reduce': 'Reduce motion',
+        
+        'hero.title': 'Strategic Graphic Design that Drives Brands',
+        'hero.role': 'Visual Identity and UX/UI Specialist',
+        'hero.description': 'I turn complex ideas into visual experiences that connect emotionally with your audience and deliver measurable results for your business.',
+        'hero.ctaProjects': 'See Recent Projects',
+        'hero.ctaContact': 'Free Consultation',
+        'hero.imageAlt': 'John Alejandro Rodríguez - Strategic Graphic Designer',
+        
+        'about.title': 'The Value Proposition',
+        'about.description': 'With more than 6 years transforming brands, I specialize in creating visual identities that not only look good but build emotional connection and measurable business results.',
+        'about.exp1.title': 'Senior Graphic Designer',
+        'about.exp1.period': '2022 - Present',
+        'about.exp1.achievement': '+40% increase in client conversion',
+        'about.exp2.title': 'Branding Specialist',
+        'about.exp2.achievement': '+25 brands successfully repositioned',
+        'about.exp3.title': 'Consultant',
+        'about.exp3.achievement': '+60 digital design projects',
+        'about.skillsTitle': 'Skill Stack',
+        'about.skills.strategy': 'Strategy',
+        'about.skills.tools': 'Tools',
+        'about.skills.specialties': 'Specialties',
+        'about.skills.methodologies': 'Methodologies',
+        
+        'projects.title': 'Strategic Case Studies',
+        'projects.subtitle': "Projects that show real impact on the client's business",
+        'projects.searchLabel': 'Search the case studies',
+        'projects.searchPlaceholder': 'Search by client, industry or service (e.g. packaging)',
+        'projects.filterLabel': 'Filter projects by tag',
+        'projects.sortLabel': 'Sort by',
+        'projects.sortDefault': 'Featured',
+        'projects.sortTitle': 'Title (A-Z)',
+        'projects.sortDuration': 'Duration',
+        'projects.clear': 'Clear filters',
+        'projects.cta': 'View Case Study',
+        'projects.cardLabel': 'View case study: {title}',
+        'projects.loadError': 'Projects could not be loaded. Please reload the page.',
+        'projects.countAll': 'Showing all {total} projects',
+        'projects.countSome': 'Showing {visible} of {total} projects',
+        'projects.countNone': 'No projects match the selected filters',
+        'projects.resultsOne': '1 result for "{query}"',
+        'projects.resultsMany': '{count} results for "{query}"',
+        
+        'modal.close': 'Close dialog',
+        'modal.prev': 'Previous project',
+        'modal.next': 'Next project',
+        'modal.client': 'Client:',
+        'modal.duration': 'Duration:',
+        'modal.role': 'Role:',
+        'modal.objective': 'Objective',
+        'modal.problem': 'The Problem',
+        'modal.process': 'Process',
+        'modal.solution': 'The Solution',
+        'modal.results': 'Results',
+        'modal.gallery': 'Gallery',
+        'modal.loadError': 'This project could not be loaded. Please try again later.',
+        'modal.announce': 'Case study loaded: {title}',
+        'modal.announcePosition': ', project {current} of {total}',
+        
+        'contact.title': 'Ready to Boost your Brand?',
+        'contact.subtitle': "Let's talk about your project and how I can help you reach your business goals",
+        'contact.role': 'Strategic Graphic Designer',
+        'contact.phone': 'Phone:',
+        'contact.email': 'Email:',
+        'contact.social': 'Connect with me:',
+        
+        'form.title': 'Tell me about your project',
+        'form.subtitle': 'Replies within 24 hours',
+        'form.nameLabel': 'Full name *',
+        'form.namePlaceholder': 'Your full name',
+        'form.emailLabel': 'Email address *',
+        'form.emailPlaceholder': 'you@email.com',
+        'form.messageLabel': 'Describe your project *',
+        'form.messagePlaceholder': 'Tell me about your brand, your goals and how I can help...',
+        'form.companyLabel': 'Company or brand',
+        'form.companyPlaceholder': 'Your company name (optional)',
+        'form.serviceLabel': 'Type of service *',
+        'form.service.brandIdentity': 'Brand identity',
+        'form.service.brandStrategy': 'Strategy and rebranding',
+        'form.service.mobileUx': 'App and e-commerce UX/UI',
+        'form.service.saasDesign': 'SaaS product design',
+        'form.service.campaign': 'Advertising campaign',
+        'form.service.packaging': 'Packaging',
+        'form.service.other': 'Other',
+        'form.budgetLabel': 'Estimated budget *',
+        'form.budgetPlaceholder': 'Select a range',
+        'form.budget.lt1000': 'Under 1,000 USD',
+        'form.budget.1000to3000': '1,000 - 3,000 USD',
+        'form.budget.3000to8000': '3,000 - 8,000 USD',
+        'form.budget.gt8000': 'Over 8,000 USD',
+        'form.budget.undecided': "I don't know yet",
+        'form.deadlineLabel': 'Deadline',
+        'form.linksLabel': 'Reference links',
+        'form.linksPlaceholder': 'https://... (one per line)',
+        'form.linksHint': 'Websites, moodboards or brands you like. Up to 5.',
+        'form.attachmentsLabel': 'Attachments',
+        'form.attachmentsHint': 'PDF, PNG, JPG or WebP. Up to 3 files of 5 MB (10 MB in total).',
+        'form.submit': 'Send Message',
+        'form.sending': 'Sending...',
+        'form.verifying': 'Verifying...',
+        'form.honeypotLabel': 'Leave this field empty',
+        'form.draftRestored': 'We restored the draft you left unsent.',
+        'form.draftDiscard': 'Discard draft',
+        'form.disclaimer': 'By submitting this form, you agree to be contacted by me.',
+        'form.successTitle': 'Message sent successfully!',
+        'form.successBody': 'I will get back to you within 24 hours.',
+        'form.errorTitle': 'Error sending message',
+        'form.errorsTitle': 'Please check these fields',
+        'form.errorBody': 'There was an error sending your message. Please try again or contact me directly.',
+        'form.mailtoBody': 'Your email app opened with the message ready: you just need to send it.',
+        'form.mailtoFallback': 'Send by email instead',
+        'form.mailtoSubject': 'New project - {nombre}',
+        'form.pendingTitle': 'Message pending',
+        'form.pendingBody': "It will be sent automatically when you're back online.",
+        'form.pendingCount': "{count} messages pending. They will be sent automatically when you're back online.",
+        'form.attachmentsOffline': "The brief could not be sent. Attachments cannot be saved for later: your message is still in the form, send it again once you're back online.",
+        
+        'wizard.progressLabel': 'Brief progress',
+        'wizard.stepContact': 'Contact',
+        'wizard.stepProject': 'Project',
+        'wizard.stepReferences': 'References',
+        'wizard.stepReview': 'Review',
+        'wizard.contactTitle': 'Who are you?',
+        'wizard.projectTitle': 'Your project',
+        'wizard.referencesTitle': 'References',
+        'wizard.reviewTitle': 'Review your brief',
+        'wizard.status': 'Step {step} of {total}: {title}',
+        'wizard.back': 'Back',
+        'wizard.next': 'Next',
+        'wizard.edit': 'Edit',
+        'wizard.editField': 'Edit {field}',
+        'wizard.reviewEmpty': 'Not provided',
+        
+        'brief.nombre': 'Name',
+        'brief.email': 'Email',
+        'brief.empresa': 'Company',
+        'brief.servicio': 'Service',
+        'brief.presupuesto': 'Budget',
+        'brief.plazo': 'Deadline',
+        'brief.mensaje': 'Description',
+        'brief.enlaces': 'Reference links',
+        'brief.adjuntos': 'Attachments',
+        
+        'validation.nameMin': 'Name must be at least 2 characters long',
+        'validation.namePattern': 'Name can only contain letters and spaces',
+        'validation.email': 'Please enter a valid email',
+        'validation.emailDisposable': 'Please use a permanent email address: temporary addresses are not accepted',
+        'validation.companyMax': 'Company name cannot exceed {value} characters',
+        'validation.messageMin': 'Message must be at least 10 characters long',
+        'validation.serviceRequired': 'Choose the type of service you need',
+        'validation.budgetRequired': 'Select a budget range',
+        'validation.deadlinePast': 'The deadline cannot be in the past',
+        'validation.linksMax': 'Add at most {max} links',
+        'validation.linkInvalid': '"{link}" is not a valid link (it must start with https://)',
+        'validation.filesMax': 'You can attach at most {max} files',
+        'validation.fileType': '"{name}" is not an allowed file type (PDF, PNG, JPG or WebP)',
+        'validation.fileSize': '"{name}" exceeds the maximum size of {max}',
+        'validation.filesTotal': 'Attachments exceed {max} in total',
+        
+        'spam.tooFast': 'The form was submitted too quickly. Please check your details and try again.',
+        'spam.rateLimited': 'You have sent several messages in a row. Please wait {minutes} minutes before sending another.',
+        'spam.content': 'Your message contains too many links or blocked terms. Please review it or email me instead.',
+        
+        'toast.region': 'Notifications',
+        'toast.dismiss': 'Dismiss notification',
+        
+        'consent.title': 'Your privacy',
+        'consent.body': 'This site can load Google Fonts and a chat assistant (Chatbase), and anonymously measure which projects are viewed. None of it is enabled without your permission.',
+        'consent.acceptAll': 'Accept all',
+        'consent.rejectAll': 'Necessary only',
+        'consent.customize': 'Preferences',
+        'consent.dialogTitle': 'Privacy preferences',
+        'consent.necessary': 'Necessary',
+        'consent.necessaryDesc': 'Language, theme, form draft and pending messages. Stored only in this browser.',
+        'consent.functional': 'Functional',
+        'consent.functionalDesc': 'Google typefaces and the Chatbase chat assistant.',
+        'consent.analytics': 'Analytics',
+        'consent.analyticsDesc': 'Anonymous usage events (projects opened, sections viewed, form steps). No personal data.',
+        'consent.save': 'Save preferences',
+        'consent.rejectOptional': 'Reject optional',
+        'consent.manage': 'Privacy preferences',
+        'consent.reloadTitle': 'Preferences saved',
+        'consent.reloadBody': 'Some services that are already loaded will be removed when the page reloads.',
+        'consent.reload': 'Reload now',
+        
+        'image.unavailable': 'Image not available',
+        
+        'gallery.label': 'Project gallery',
+        'gallery.counter': '{current} of {total}',
+        'gallery.close': 'Close gallery',
+        'gallery.prev': 'Previous image',
+        'gallery.next': 'Next image',
+        'gallery.zoom': 'Zoom image',
+        
+        'chat.askProject': 'Ask about this project',
+        'chat.projectGreeting': 'Hi! What would you like to know about the “{title}” project?',
+        'chat.formGreeting': 'The form could not be sent, but you can tell me here what you need.',
+        'chat.fallback': 'Use the chat instead',
+        'chat.consentRequired': 'The chat needs you to accept functional services.',
+        
+        'pwa.offlineReady': 'The portfolio is now available offline.',
+        'pwa.updateTitle': 'New version available',
+        'pwa.updateBody': 'Reload to see the latest changes to the portfolio.',
+        'pwa.updateAction': 'Reload',
+        
+        'footer.tagline': 'Strategic graphic design that drives brands',
+        'footer.copyright': '© 2025 John Rodríguez – All rights reserved.'
+    }
+};
+
+// Atributos traducibles mediante data-i18n-<atributo>="clave"
+const I18N_ATTRIBUTES = ['aria-label', 'alt', 'placeholder', 'title'];
+
+/**
+ * Inicializa el sistema de idiomas
+ * Prioridad: preferencia guardada > idioma del navegador > español
+ */
+function initializeI18n() {
+    state.locale = detectLocale();
+    applyTranslations();
+    
+    if (DOM.langSwitcher) {
+        DOM.langSwitcher.addEventListener('click', (e) => {
+            const option = e.target.closest('.lang-option');
+            if (option) setLocale(option.dataset.locale, { persist: true });
+        });
+    }
+    
+    console.log('🌐 Idioma activo:', state.locale);
+}
+
+/**
+ * Detecta el idioma inicial del visitante
+ * Solo devuelve idiomas con catálogo disponible
+ */
+function detectLocale() {
+    const stored = readStorage(CONFIG.localeStorageKey);
+    if (CONFIG.supportedLocales.indexOf(stored) !== -1) return stored;
+    
+    const preferred = navigator.languages && navigator.languages.length
+        ? navigator.languages
+        : [navigator.language || ''];
+    
+    for (let i = 0; i < preferred.length; i++) {
+        const language = String(preferred[i]).toLowerCase().split('-')[0];
+        if (CONFIG.supportedLocales.indexOf(language) !== -1) return language;
+    }
+    
+    return CONFIG.defaultLocale;
+}
+
+/**
+ * Cambia el idioma activo y refresca todo el contenido
+ * options.persist: guarda la elección como preferencia explícita
+ */
+function setLocale(locale, options = {}) {
+    if (CONFIG.supportedLocales.indexOf(locale) === -1) return;
+    
+    if (options.persist) {
+        writeStorage(CONFIG.localeStorageKey, locale);
+    }
+    
+    if (locale === state.locale) return;
+    
+    state.locale = locale;
+    applyTranslations();
+    refreshLocalizedContent();
+    
+    if (DOM.contactForm) {
+        updatePendingMessage();
+    }
+    
+    if (isFormWizardActive()) {
+        goToFormStep(state.formStep, { focus: false });
+    }
+    
+    console.log('🌐 Idioma cambiado a:', locale);
+}
+
+/**
+ * Traduce una clave del catálogo activo
+ * Interpola parámetros {nombre}; cae al español y luego a la propia clave
+ */
+function t(key, params) {
+    const catalogue = I18N_MESSAGES[state.locale] || {};
+    let message = catalogue.hasOwnProperty(key)
+        ? catalogue[key]
+        : I18N_MESSAGES[CONFIG.defaultLocale][key];
+    
+    if (message === undefined) {
+        console.warn('⚠️ Traducción no encontrada:', key);
+        return key;
+    }
+    
+    if (params) {
+        message = message.replace(/\{(\w+)\}/g, (match, name) => (
+            params.hasOwnProperty(name) ? params[name] : match
+        ));
+    }
+    
+    return message;
+}
+
+/**
+ * Aplica el idioma activo al HTML estático
+ * Actualiza textos, atributos, lang del documento y metadatos
+ */
+function applyTranslations() {
+    document.documentElement.lang = state.locale;
+    document.title = t('meta.title');
+    
+    const description = document.querySelector('meta[name="description"]');
+    if (description) description.setAttribute('content', t('meta.description'));
+    
+    document.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    
+    I18N_ATTRIBUTES.forEach(attribute => {
+        document.querySelectorAll(`[data-i18n-${attribute}]`).forEach(el => {
+            el.setAttribute(attribute, t(el.getAttribute(`data-i18n-${attribute}`)));
+        });
+    });
+    
+    if (DOM.langSwitcher) {
+        DOM.langSwitcher.querySelectorAll('.lang-option').forEach(option => {
+            option.setAttribute('aria-pressed', String(option.dataset.locale === state.locale));
+        });
+    }
+}
+
+/**
+ * Vuelve a generar el contenido dinámico en el nuevo idioma
+ * Tarjetas, índice de búsqueda, filtros y el case study abierto
+ */
+function refreshLocalizedContent() {
+    if (!caseStudyStore.projects.length) return;
+    
+    renderProjectCards(caseStudyStore.projects);
+    buildSearchIndex(caseStudyStore.projects);
+    
+    if (DOM.projectsToolbar && !DOM.projectsToolbar.hidden) {
+        applyProjectFilters({ animate: false });
+    }
+    
+    if (state.isModalOpen) {
+        loadCaseStudyContent(state.currentProject);
+        updateModalNavigation(state.currentProject);
+    }
+}
+
+/**
+ * Devuelve un case study con los textos del idioma activo
+ * Cada campo sin traducción conserva el valor en español
+ */
+function localizeCaseStudy(project) {
+    const translation = project.i18n && project.i18n[state.locale];
+    if (!translation || state.locale === CONFIG.defaultLocale) return project;
+    
+    const localized = Object.assign({}, project);
+    
+    CASE_STUDY_SCHEMA.translatable.forEach(key => {
+        if (translation[key] === undefined) return;
+        
+        if (key === 'thumbnail') {
+            localized.thumbnail = Object.assign({}, project.thumbnail, translation.thumbnail);
+        } else if (key === 'media') {
+            localized.media = project.media.map((item, index) => Object.assign({}, item, translation.media[index]));
+        } else {
+            localized[key] = translation[key];
+        }
+    });
+    
+    return localized;
+}
+
+// ========================================
+// TEMA CLARO / OSCURO
+// ========================================
+
+// Modos disponibles en el orden en que los recorre el botón del navbar
+const THEME_MODES = ['light', 'dark', 'system'];
+
+const THEME_ICONS = {
+    light: '☀️',
+    dark: '🌙',
+    system: '🖥️'
+};
+
+// Media query del sistema operativo, compartida por todo el módulo
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+/**
+ * Inicializa el sistema de temas
+ * El script inline del <head> ya aplicó el tema antes del primer pintado
+ */
+function initializeTheme() {
+    const stored = readStorage(CONFIG.themeStorageKey);
+    state.theme = THEME_MODES.indexOf(stored) !== -1 ? stored : 'system';
+    applyTheme();
+    
+    if (DOM.themeToggle) {
+        DOM.themeToggle.addEventListener('click', cycleTheme);
+    }
+    
+    // Seguir los cambios del sistema mientras el modo sea "system"
+    if (darkSchemeQuery) {
+        const onSchemeChange = () => {
+            if (state.theme === 'system') applyTheme();
+        };
+        
+        if (darkSchemeQuery.addEventListener) {
+            darkSchemeQuery.addEventListener('change', onSchemeChange);
+        } else if (darkSchemeQuery.addListener) {
+            darkSchemeQuery.addListener(onSchemeChange);
+        }
+    }
+    
+    console.log('🎨 Tema inicializado:', state.theme);
+}
+
+/**
+ * Pasa al siguiente modo: claro → oscuro → sistema
+ * La elección se guarda en localStorage
+ */
+function cycleTheme() {
+    const index = THEME_MODES.indexOf(state.theme);
+    setTheme(THEME_MODES[(index + 1) % THEME_MODES.length]);
+}
+
+/**
+ * Cambia el modo de tema y lo persiste
+ * mode: 'light', 'dark' o 'system'
+ */
+function setTheme(mode) {
+    if (THEME_MODES.indexOf(mode) === -1) return;
+    
+    state.theme = mode;
+    writeStorage(CONFIG.themeStorageKey, mode);
+    applyTheme();
+}
+
+/**
+ * Resuelve el modo a un tema concreto y lo aplica al documento
+ * Los componentes solo leen tokens CSS, nunca el modo
+ */
+function applyTheme() {
+    const resolved = state.theme === 'system'
+        ? (darkSchemeQuery && darkSchemeQuery.matches ? 'dark' : 'light')
+        : state.theme;
+    
+    document.documentElement.setAttribute('data-theme', resolved);
+    document.querySelectorAll('img[data-fallback]').forEach(renderImageFallback);
+    
+    if (DOM.themeToggle) {
+        const label = DOM.themeToggle.querySelector('[data-i18n]');
+        DOM.themeToggle.querySelector('.theme-toggle-icon').textContent = THEME_ICONS[state.theme];
+        label.dataset.i18n = 'theme.' + state.theme;
+        label.textContent = t(label.dataset.i18n);
+    }
+}
+
+// ========================================
+// MOVIMIENTO REDUCIDO
+// ========================================
+
+// "system" sigue al sistema operativo; "reduce" y "full" los fija el visitante
+const MOTION_MODES = ['system', 'reduce', 'full'];
+
+// Media query del sistema operativo, compartida por todo el módulo
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+/**
+ * Inicializa las preferencias de movimiento
+ * El script inline del <head> ya aplicó data-motion antes del primer pintado
+ */
+function initializeMotion() {
+    const stored = readStorage(CONFIG.motionStorageKey);
+    state.motion = MOTION_MODES.indexOf(stored) !== -1 ? stored : 'system';
+    applyMotion();
+    
+    if (DOM.motionToggle) {
+        DOM.motionToggle.addEventListener('click', () => setMotion(state.reducedMotion ? 'full' : 'reduce'));
+    }
+    
+    // Seguir los cambios del sistema mientras el modo sea "system"
+    if (reducedMotionQuery) {
+        const onMotionChange = () => {
+            if (state.motion === 'system') applyMotion();
+        };
+        
+        if (reducedMotionQuery.addEventListener) {
+            reducedMotionQuery.addEventListener('change', onMotionChange);
+        } else if (reducedMotionQuery.addListener) {
+            reducedMotionQuery.addListener(onMotionChange);
+        }
+    }
+    
+    console.log('🐢 Preferencia de movimiento:', state.motion, state.reducedMotion ? '(reducido)' : '(completo)');
+}
+
+/**
+ * Cambia el modo de movimiento y lo persiste tal cual se eligió
+ * mode: 'reduce', 'full' o 'system' (el botón del footer solo fija los dos primeros)
+ */
+function setMotion(mode) {
+    if (MOTION_MODES.indexOf(mode) === -1) return;
+    
+    state.motion = mode;
+    writeStorage(CONFIG.motionStorageKey, mode);
+    applyMotion();
+}
+
+/**
+ * Resuelve el modo y lo aplica al documento
+ * styles.css cambia las animaciones por fundidos o cambios instantáneos con data-motion="reduce"
+ */
+function applyMotion() {
+    state.reducedMotion = state.motion === 'system'
+        ? Boolean(reducedMotionQuery && reducedMotionQuery.matches)
+        : state.motion === 'reduce';
+    
+    document.documentElement.setAttribute('data-motion', state.reducedMotion ? 'reduce' : 'full');
+    
+    if (DOM.motionToggle) {
+        DOM.motionToggle.setAttribute('aria-pressed', String(state.reducedMotion));
+    }
+    
+    // Retirar el desplazamiento del parallax que ya estuviera aplicado
+    updateParallaxEffects();
+}
+
 // ========================================
 // SISTEMA DE NAVEGACIÓN
 // ========================================
 
+// Estado interno del scroll spy: secciones del navbar y las que cruzan la franja de lectura
+const scrollSpy = {
+    sections: [],
+    visible: new Set(),
+    atEnd: false,
+    current: null,
+    observer: null,
+    endObserver: null
+};
+
 /**
  * Inicializa el sistema de navegación móvil y desktop
  * Incluye menú hamburguesa y navegación activa
@@ -115,8 +1058,8 @@ function initializeNavigation() {
         }
     });
     
-    // Navegación activa basada en scroll
-    window.addEventListener('scroll', throttle(updateActiveNavigation, CONFIG.scrollThrottle));
+    // Navegación activa basada en la sección visible
+    initializeScrollSpy();
     
     console.log('🧭 Sistema de navegación inicializado');
 }
@@ -132,7 +1075,7 @@ function toggleMobileMenu() {
     DOM.navMenu.classList.toggle('active');
     DOM.hamburger.classList.toggle('active');
     
-    // Animar ícono hamburguesa
+    // Animar ícono hamburguesa (con movimiento reducido styles.css hace el cambio instantáneo)
     const bars = DOM.hamburger.querySelectorAll('.bar');
     bars.forEach((bar, index) => {
         if (state.isMenuOpen) {
@@ -152,29 +1095,96 @@ function toggleMobileMenu() {
 }
 
 /**
- * Actualiza la navegación activa basada en la posición de scroll
- * Mejora la UX mostrando la sección actual
+ * Observa las secciones enlazadas desde el navbar para marcar la activa
+ * Sin listeners de scroll ni lecturas de layout: lo resuelve IntersectionObserver
  */
-function updateActiveNavigation() {
-    const sections = document.querySelectorAll('section[id]');
-    let current = '';
+function initializeScrollSpy() {
+    if (!('IntersectionObserver' in window)) return;
     
-    sections.forEach(section => {
-        const sectionTop = section.offsetTop - 100;
-        const sectionHeight = section.clientHeight;
-        
-        if (window.scrollY >= sectionTop && window.scrollY < sectionTop + sectionHeight) {
-            current = section.getAttribute('id');
-        }
+    scrollSpy.sections = Array.from(DOM.navLinks)
+        .map(link => document.getElementById(link.dataset.section))
+        .filter(Boolean);
+    if (!scrollSpy.sections.length) return;
+    
+    // Franja de lectura: desde debajo del navbar hasta el 40% superior de la pantalla
+    scrollSpy.observer = new IntersectionObserver(entries => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                scrollSpy.visible.add(entry.target.id);
+            } else {
+                scrollSpy.visible.delete(entry.target.id);
+            }
+        });
+        updateScrollSpy();
+    }, {
+        rootMargin: `-${CONFIG.scrollSpyOffset}px 0px -60% 0px`
+    });
+    
+    // Una última sección corta nunca llega a la franja: cuenta al verse entera
+    const lastSection = scrollSpy.sections[scrollSpy.sections.length - 1];
+    scrollSpy.endObserver = new IntersectionObserver(entries => {
+        scrollSpy.atEnd = entries[entries.length - 1].intersectionRatio >= 0.99;
+        updateScrollSpy();
+    }, {
+        threshold: [0, 0.99]
     });
     
-    // Actualizar enlaces activos
+    scrollSpy.sections.forEach(section => scrollSpy.observer.observe(section));
+    scrollSpy.endObserver.observe(lastSection);
+}
+
+/**
+ * Elige la sección activa a partir de las que están en la franja de lectura
+ * Si hay varias, gana la primera: es la que ocupa la parte alta de la pantalla
+ */
+function updateScrollSpy() {
+    const lastSection = scrollSpy.sections[scrollSpy.sections.length - 1];
+    const current = scrollSpy.atEnd
+        ? lastSection
+        : scrollSpy.sections.find(section => scrollSpy.visible.has(section.id));
+    
+    // Entre dos secciones (márgenes) se mantiene la anterior
+    if (current) setActiveSection(current.id);
+}
+
+/**
+ * Marca la sección activa en el navbar y avisa al resto de módulos
+ * Emite "section:change" con { section, previous }
+ */
+function setActiveSection(sectionId) {
+    if (sectionId === scrollSpy.current) return;
+    
+    const previous = scrollSpy.current;
+    scrollSpy.current = sectionId;
+    
     DOM.navLinks.forEach(link => {
-        link.classList.remove('active');
-        if (link.getAttribute('data-section') === current) {
-            link.classList.add('active');
+        const isActive = link.dataset.section === sectionId;
+        link.classList.toggle('active', isActive);
+        if (isActive) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
         }
     });
+    
+    if (CONFIG.scrollSpyUpdateHash) updateSectionHash(sectionId);
+    
+    emit('section:change', { section: sectionId, previous: previous || null });
+}
+
+/**
+ * Refleja la sección en el hash sin saltar ni llenar el historial
+ * replaceState no dispara hashchange ni mueve el scroll
+ */
+function updateSectionHash(sectionId) {
+    // Con un case study abierto la URL pertenece al modal
+    if (state.isModalOpen) return;
+    
+    const isFirst = sectionId === scrollSpy.sections[0].id;
+    const hash = isFirst ? '' : `#${sectionId}`;
+    if (window.location.hash === hash) return;
+    
+    history.replaceState(history.state, '', window.location.pathname + window.location.search + hash);
 }
 
 // ========================================
@@ -207,11 +1217,22 @@ function handleSmoothScroll(e) {
     const targetElement = document.querySelector(targetId);
     if (!targetElement) return;
     
+    scrollToElement(targetElement);
+}
+
+/**
+ * Desplaza la página hasta un elemento dejando sitio al navbar fijo
+ * Respeta el movimiento reducido; también la usa Portfolio.navigateTo
+ */
+function scrollToElement(targetElement) {
     // Calcular posición con offset para la navegación fija
     const offsetTop = targetElement.offsetTop - 80;
     
     // Scroll suave con fallback para navegadores que no lo soportan
-    if ('scrollBehavior' in document.documentElement.style) {
+    if (state.reducedMotion) {
+        // Salto directo: styles.css desactiva scroll-behavior con data-motion="reduce"
+        window.scrollTo(0, offsetTop);
+    } else if ('scrollBehavior' in document.documentElement.style) {
         window.scrollTo({
             top: offsetTop,
             behavior: 'smooth'
@@ -254,156 +1275,696 @@ function easeInOutQuad(t, b, c, d) {
 }
 
 // ========================================
-// SISTEMA DE FORMULARIO
+// NOTIFICACIONES
 // ========================================
 
+// Duración por defecto de cada variante (ms); los errores se leen con más calma
+const TOAST_DURATIONS = {
+    success: 5000,
+    info: 5000,
+    warning: 8000,
+    error: 8000
+};
+
+// Iconos decorativos por variante
+const TOAST_ICONS = {
+    success: '✅',
+    info: 'ℹ️',
+    warning: '⚠️',
+    error: '❌'
+};
+
+// Estado interno: notificaciones visibles y en espera
+const toastState = {
+    active: [],
+    queue: [],
+    nextId: 1
+};
+
 /**
- * Inicializa el sistema de formulario de contacto
- * Incluye validación, envío y feedback al usuario
+ * API pública de notificaciones para el resto de módulos
+ * notifications.success('Guardado') o notifications.show({ variant, title, message, list, action, actions, duration })
  */
-function initializeForm() {
-    if (!DOM.contactForm) return;
-    
-    DOM.contactForm.addEventListener('submit', handleFormSubmit);
+const notifications = {
+    show: showNotification,
+    success: (message, options) => showNotification(Object.assign({ variant: 'success', message: message }, options)),
+    info: (message, options) => showNotification(Object.assign({ variant: 'info', message: message }, options)),
+    warning: (message, options) => showNotification(Object.assign({ variant: 'warning', message: message }, options)),
+    error: (message, options) => showNotification(Object.assign({ variant: 'error', message: message }, options)),
+    dismiss: dismissNotification,
+    clear: clearNotifications
+};
+
+/**
+ * Inicializa la región de notificaciones
+ * Escape cierra la notificación que tiene el foco
+ */
+function initializeNotifications() {
+    if (!DOM.toastRegion) return;
     
-    // Validación en tiempo real para mejor UX
-    const inputs = DOM.contactForm.querySelectorAll('input, textarea');
-    inputs.forEach(input => {
-        input.addEventListener('blur', validateField);
-        input.addEventListener('input', clearFieldError);
+    DOM.toastRegion.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        
+        const toast = e.target.closest('.toast');
+        if (toast) dismissNotification(Number(toast.dataset.toastId));
     });
     
-    console.log('📝 Sistema de formulario inicializado');
+    console.log('🔔 Sistema de notificaciones inicializado');
 }
 
 /**
- * Maneja el envío del formulario de contacto
- * Incluye validación completa y envío real a Formspree
+ * Muestra una notificación o la pone en cola si ya hay demasiadas visibles
+ * Una notificación idéntica a otra visible solo reinicia su temporizador
+ * Devuelve el id para poder cerrarla con notifications.dismiss(id)
  */
-function handleFormSubmit(e) {
-    e.preventDefault();
-    
-    // Obtener datos del formulario
-    const formData = new FormData(DOM.contactForm);
-    const data = {
-        nombre: formData.get('nombre').trim(),
-        email: formData.get('email').trim(),
-        mensaje: formData.get('mensaje').trim()
+function showNotification(options) {
+    const toast = {
+        id: toastState.nextId++,
+        variant: TOAST_DURATIONS[options.variant] ? options.variant : 'info',
+        title: options.title || '',
+        message: options.message || '',
+        list: options.list || [],
+        actions: (options.actions || []).concat(options.action || []).filter(Boolean),
+        element: null,
+        timer: null,
+        remaining: 0,
+        startedAt: 0
     };
+    toast.duration = options.duration !== undefined ? options.duration : TOAST_DURATIONS[toast.variant];
+    toast.key = [toast.variant, toast.title, toast.message, toast.list.join('|')].join('::');
+    
+    if (!DOM.toastRegion) {
+        console.warn('⚠️ Notificación sin región donde mostrarse:', toast.title || toast.message);
+        return toast.id;
+    }
     
-    // Validar formulario
-    const errors = validateForm(data);
+    const duplicate = toastState.active.find(item => item.key === toast.key);
+    if (duplicate) {
+        startToastTimer(duplicate, duplicate.duration);
+        return duplicate.id;
+    }
     
-    if (errors.length > 0) {
-        showFormErrors(errors);
-        return;
+    if (toastState.active.length >= CONFIG.toastMaxVisible) {
+        toastState.queue.push(toast);
+    } else {
+        renderToast(toast);
     }
     
-    // Enviar datos reales a Formspree
-    submitToFormspree(data);
+    return toast.id;
 }
 
 /**
- * Valida los datos del formulario
- * Validación robusta con mensajes específicos
+ * Crea el elemento de una notificación y arranca su temporizador
+ * Todo el contenido se inserta como texto
  */
-function validateForm(data) {
-    const errors = [];
+function renderToast(toast) {
+    const element = document.createElement('div');
+    element.className = `toast toast-${toast.variant}`;
+    element.dataset.toastId = toast.id;
+    
+    // Los errores se anuncian de inmediato; el resto espera a que el lector termine
+    element.setAttribute('role', toast.variant === 'error' ? 'alert' : 'status');
+    
+    const icon = document.createElement('span');
+    icon.className = 'toast-icon';
+    icon.setAttribute('aria-hidden', 'true');
+    icon.textContent = TOAST_ICONS[toast.variant];
+    element.appendChild(icon);
     
-    // Validar nombre (mínimo 2 caracteres, solo letras y espacios)
-    if (!data.nombre || data.nombre.length < 2) {
-        errors.push('El nombre debe tener al menos 2 caracteres');
-    } else if (!/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/.test(data.nombre)) {
-        errors.push('El nombre solo puede contener letras y espacios');
+    const body = document.createElement('div');
+    body.className = 'toast-body';
+    
+    if (toast.title) {
+        const title = document.createElement('strong');
+        title.className = 'toast-title';
+        title.textContent = toast.title;
+        body.appendChild(title);
     }
     
-    // Validar email (formato estándar)
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!data.email || !emailRegex.test(data.email)) {
-        errors.push('Por favor ingresa un email válido');
+    if (toast.message) {
+        const message = document.createElement('p');
+        message.className = 'toast-message';
+        message.textContent = toast.message;
+        body.appendChild(message);
     }
     
-    // Validar mensaje (mínimo 10 caracteres)
-    if (!data.mensaje || data.mensaje.length < 10) {
-        errors.push('El mensaje debe tener al menos 10 caracteres');
+    if (toast.list.length) {
+        const list = document.createElement('ul');
+        list.className = 'toast-list';
+        toast.list.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        body.appendChild(list);
     }
     
-    return errors;
-}
+    toast.actions.forEach(item => {
+        const action = document.createElement(item.href ? 'a' : 'button');
+        action.className = 'toast-action';
+        action.textContent = item.label;
+        
+        if (item.href) {
+            action.href = item.href;
+        } else {
+            action.type = 'button';
+        }
+        
+        action.addEventListener('click', () => {
+            if (item.onClick) item.onClick();
+            dismissNotification(toast.id);
+        });
+        body.appendChild(action);
+    });
+    
+    element.appendChild(body);
+    
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'toast-close';
+    close.setAttribute('aria-label', t('toast.dismiss'));
+    setHTML(close, html`<span aria-hidden="true">&times;</span>`);
+    close.addEventListener('click', () => dismissNotification(toast.id));
+    element.appendChild(close);
+    
+    // Pausa mientras el visitante la lee con el ratón o el teclado
+    element.addEventListener('mouseenter', () => pauseToastTimer(toast));
+    element.addEventListener('mouseleave', () => resumeToastTimer(toast));
+    element.addEventListener('focusin', (e) => {
+        rememberToastReturnFocus(toast, e.relatedTarget);
+        pauseToastTimer(toast);
+    });
+    element.addEventListener('focusout', (e) => {
+        if (!element.contains(e.relatedTarget)) resumeToastTimer(toast);
+    });
+    
+    toast.element = element;
+    toastState.active.push(toast);
+    DOM.toastRegion.appendChild(element);
+    
+    startToastTimer(toast, toast.duration);
+}
+
+/**
+ * (Re)inicia la cuenta atrás de una notificación
+ * duration 0 la deja abierta hasta que se cierre a mano
+ */
+function startToastTimer(toast, duration) {
+    clearTimeout(toast.timer);
+    toast.remaining = duration;
+    if (!duration) return;
+    
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismissNotification(toast.id), duration);
+}
+
+/**
+ * Detiene la cuenta atrás conservando el tiempo restante
+ */
+function pauseToastTimer(toast) {
+    if (!toast.timer) return;
+    
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+}
+
+/**
+ * Reanuda la cuenta atrás con el tiempo que quedaba
+ */
+function resumeToastTimer(toast) {
+    if (toast.timer || !toast.duration) return;
+    
+    startToastTimer(toast, Math.max(toast.remaining, CONFIG.toastMinResume));
+}
+
+/**
+ * Cierra una notificación visible (o la retira de la cola)
+ * Deja paso a la siguiente notificación en espera
+ */
+function dismissNotification(id) {
+    toastState.queue = toastState.queue.filter(item => item.id !== id);
+    
+    const toast = toastState.active.find(item => item.id === id);
+    if (!toast) return;
+    
+    clearTimeout(toast.timer);
+    const index = toastState.active.indexOf(toast);
+    toastState.active = toastState.active.filter(item => item !== toast);
+    
+    // Si el foco estaba dentro, pasa a la notificación vecina o vuelve a donde estaba antes
+    if (toast.element.contains(document.activeElement)) {
+        const neighbour = toastState.active[index] || toastState.active[index - 1];
+        if (neighbour && !neighbour.returnFocus) neighbour.returnFocus = toast.returnFocus;
+        
+        const target = neighbour ? neighbour.element.querySelector('.toast-close') : toast.returnFocus;
+        if (target && target.isConnected) {
+            target.focus();
+        } else {
+            document.activeElement.blur();
+        }
+    }
+    
+    toast.element.classList.add('toast-leaving');
+    setTimeout(() => toast.element.remove(), CONFIG.animationDuration);
+    
+    const next = toastState.queue.shift();
+    if (next) renderToast(next);
+}
+
+/**
+ * Recuerda el elemento que tenía el foco antes de entrar en la notificación
+ * Entre notificaciones se hereda el origen: el foco vuelve siempre a la página
+ */
+function rememberToastReturnFocus(toast, from) {
+    if (!from || toast.element.contains(from)) return;
+    
+    if (!DOM.toastRegion.contains(from)) {
+        toast.returnFocus = from;
+        return;
+    }
+    
+    const previous = toastState.active.find(item => item.element.contains(from));
+    if (previous && previous.returnFocus) toast.returnFocus = previous.returnFocus;
+}
+
+/**
+ * Cierra todas las notificaciones, o solo las de una variante
+ */
+function clearNotifications(variant) {
+    const matches = item => !variant || item.variant === variant;
+    
+    toastState.queue = toastState.queue.filter(item => !matches(item));
+    toastState.active.filter(matches).forEach(item => dismissNotification(item.id));
+}
+
+// ========================================
+// SISTEMA DE FORMULARIO
+// ========================================
+
+/**
+ * Inicializa el sistema de formulario de contacto
+ * Incluye validación, envío y feedback al usuario
+ */
+function initializeForm() {
+    if (!DOM.contactForm) return;
+    
+    DOM.contactForm.addEventListener('submit', handleFormSubmit);
+    initializeSpamGuard();
+    
+    // Validación en tiempo real para mejor UX
+    // Radios y adjuntos se validan al cambiar: el blur salta entre opciones del mismo grupo
+    const inputs = DOM.contactForm.querySelectorAll('input, textarea, select');
+    inputs.forEach(input => {
+        const validateOn = input.type === 'radio' || input.type === 'file' ? 'change' : 'blur';
+        input.addEventListener(validateOn, validateField);
+        input.addEventListener('input', () => clearFieldError(input));
+    });
+    
+    console.log('📝 Sistema de formulario inicializado');
+}
+
+// Campos de texto del brief, en el orden en que se envían y se revisan
+const BRIEF_FIELDS = ['nombre', 'email', 'empresa', 'servicio', 'presupuesto', 'plazo', 'mensaje', 'enlaces'];
+
+/**
+ * Maneja el envío del formulario de contacto
+ * Incluye validación completa y envío real a Formspree
+ */
+function handleFormSubmit(e) {
+    e.preventDefault();
+    
+    // En el asistente, Enter en un paso intermedio avanza en lugar de enviar
+    if (isFormWizardActive() && state.formStep < DOM.formSteps.length) {
+        nextFormStep();
+        return;
+    }
+    
+    submitContactForm();
+}
+
+/**
+ * Valida y envía el contenido actual del formulario
+ * Sin pasar por los pasos del asistente: también la usa Portfolio.submitContact
+ * options.id identifica el envío en todos los eventos form:* (se genera si falta)
+ */
+function submitContactForm(options = {}) {
+    const id = options.id || generateId();
+    
+    // Obtener datos del formulario
+    const formData = new FormData(DOM.contactForm);
+    const data = {};
+    BRIEF_FIELDS.forEach(name => {
+        data[name] = String(formData.get(name) || '').trim();
+    });
+    const attachments = getAttachments();
+    
+    // Validar formulario (incluye comprobaciones asíncronas)
+    validateForm(data, attachments).then(errors => {
+        if (errors.length > 0) {
+            trackFormOutcome('invalid', { errors: errors.length });
+            emit('form:error', { reason: 'invalid', id: id, errors: errors });
+            showFormErrors(errors);
+            return;
+        }
+        
+        sendValidatedForm(data, formData, attachments, id);
+    })
+    .catch(error => {
+        // Una regla custom o async que falla no debe dejar el envío sin respuesta
+        console.error('❌ Error validando el formulario:', error);
+        emit('form:error', { reason: 'validation', id: id, message: error.message });
+        showErrorMessage(t('form.errorBody'));
+    });
+}
+
+/**
+ * Envía un formulario ya validado
+ * Pasa antes por el filtro anti-spam y la prueba de trabajo opcional
+ */
+function sendValidatedForm(data, formData, attachments, id) {
+    // Filtrar bots antes de gastar un envío
+    const spamReason = detectSpam(data, formData);
+    if (spamReason) {
+        trackFormOutcome('blocked', { reason: spamReason });
+        emit('form:error', { reason: 'blocked', id: id });
+        rejectSpamSubmission(spamReason, data);
+        return;
+    }
+    
+    if (!CONFIG.spamPowDifficulty) {
+        // Enviar por el backend configurado (Formspree por defecto)
+        submitToFormspree(data, { id: id, attachments: attachments });
+        return;
+    }
+    
+    // Prueba de trabajo opcional: puede tardar unos segundos
+    const submitButton = DOM.contactForm.querySelector('button[type="submit"]');
+    submitButton.textContent = t('form.verifying');
+    submitButton.disabled = true;
+    
+    solveProofOfWork(data.email)
+        .then(proof => submitToFormspree(data, { id: id, proof: proof, attachments: attachments }))
+        .catch(error => {
+            console.error('❌ Error en la prueba de trabajo:', error);
+            submitButton.textContent = t('form.submit');
+            submitButton.disabled = false;
+            emit('form:error', { reason: 'proof', id: id, message: error.message });
+            showErrorMessage(t('form.errorBody'));
+        });
+}
+
+// ========================================
+// ESQUEMA DE VALIDACIÓN
+// ========================================
+
+/**
+ * Reglas de validación por campo, compartidas por la validación en vivo y la del envío
+ * Tipos: required, minLength, maxLength, pattern, custom (devuelve el mensaje) y async (promesa)
+ * message es una clave i18n; recibe {value} de la regla como parámetro
+ */
+const FORM_SCHEMA = {
+    nombre: [
+        { type: 'required', message: 'validation.nameMin' },
+        { type: 'minLength', value: 2, message: 'validation.nameMin' },
+        { type: 'pattern', value: /^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/, message: 'validation.namePattern' }
+    ],
+    email: [
+        { type: 'required', message: 'validation.email' },
+        { type: 'pattern', value: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, message: 'validation.email' },
+        { type: 'async', validate: isAllowedEmailDomain, message: 'validation.emailDisposable' }
+    ],
+    empresa: [
+        { type: 'maxLength', value: 100, message: 'validation.companyMax' }
+    ],
+    servicio: [
+        { type: 'required', message: 'validation.serviceRequired' }
+    ],
+    presupuesto: [
+        { type: 'required', message: 'validation.budgetRequired' }
+    ],
+    plazo: [
+        // Formato YYYY-MM-DD: se compara como texto con la fecha de hoy
+        { type: 'custom', validate: value => value >= getTodayIsoDate() ? '' : t('validation.deadlinePast') }
+    ],
+    mensaje: [
+        { type: 'required', message: 'validation.messageMin' },
+        { type: 'minLength', value: 10, message: 'validation.messageMin' }
+    ],
+    enlaces: [
+        { type: 'custom', validate: validateLinks }
+    ],
+    adjuntos: [
+        { type: 'custom', validate: validateAttachments }
+    ]
+};
+
+// Dominios de correo temporal más habituales; CONFIG.disposableEmailApi amplía la lista
+const DISPOSABLE_EMAIL_DOMAINS = [
+    'mailinator.com', 'guerrillamail.com', 'sharklasers.com', '10minutemail.com', 'tempmail.com',
+    'temp-mail.org', 'yopmail.com', 'trashmail.com', 'getnada.com', 'dispostable.com',
+    'maildrop.cc', 'throwawaymail.com', 'fakeinbox.com', 'mailnesia.com', 'emailondeck.com'
+];
+
+/**
+ * Valida los datos del formulario
+ * Aplica FORM_SCHEMA a todos los campos y resuelve con la lista de mensajes de error
+ */
+function validateForm(data, attachments = []) {
+    const checks = Object.keys(FORM_SCHEMA).map(name => (
+        validateValue(name, name === 'adjuntos' ? attachments : (data[name] || ''))
+    ));
+    
+    return Promise.all(checks).then(messages => messages.filter(Boolean));
+}
+
+/**
+ * Valida un valor contra las reglas de su campo
+ * Las reglas síncronas van primero: las asíncronas solo corren si todas pasan
+ */
+function validateValue(name, value) {
+    const rules = FORM_SCHEMA[name] || [];
+    const empty = Array.isArray(value) ? value.length === 0 : value === '';
+    
+    // Un campo opcional vacío no pasa por el resto de reglas
+    if (empty) {
+        const required = rules.find(rule => rule.type === 'required');
+        return Promise.resolve(required ? t(required.message) : '');
+    }
+    
+    let message = '';
+    rules.some(rule => {
+        message = getRuleError(rule, value);
+        return Boolean(message);
+    });
+    if (message) return Promise.resolve(message);
+    
+    const asyncRules = rules.filter(rule => rule.type === 'async');
+    return Promise.all(asyncRules.map(rule => rule.validate(value)))
+        .then(results => {
+            const failed = asyncRules.find((rule, index) => !results[index]);
+            return failed ? t(failed.message) : '';
+        });
+}
+
+/**
+ * Evalúa una regla síncrona
+ * Devuelve el mensaje localizado si falla o una cadena vacía
+ */
+function getRuleError(rule, value) {
+    switch (rule.type) {
+        case 'minLength':
+            return value.length < rule.value ? t(rule.message, { value: rule.value }) : '';
+            
+        case 'maxLength':
+            return value.length > rule.value ? t(rule.message, { value: rule.value }) : '';
+            
+        case 'pattern':
+            return rule.value.test(value) ? '' : t(rule.message);
+            
+        case 'custom':
+            return rule.validate(value);
+            
+        default:
+            return '';
+    }
+}
+
+/**
+ * Valor de un campo tal como lo valida el esquema
+ * Radios: opción marcada del grupo; adjuntos: lista de archivos
+ */
+function getFieldValue(field) {
+    if (field.type === 'radio') {
+        const checked = DOM.contactForm.querySelector(`input[name="${field.name}"]:checked`);
+        return checked ? checked.value : '';
+    }
+    
+    if (field.type === 'file') {
+        return Array.from(field.files || []);
+    }
+    
+    return field.value.trim();
+}
+
+/**
+ * Comprueba que el email no sea de un servicio de correo temporal
+ * Con CONFIG.disposableEmailApi consulta además un servicio externo; si falla, no bloquea
+ */
+function isAllowedEmailDomain(email) {
+    const domain = email.split('@').pop().toLowerCase();
+    
+    if (DISPOSABLE_EMAIL_DOMAINS.includes(domain)) {
+        return Promise.resolve(false);
+    }
+    
+    if (!CONFIG.disposableEmailApi) {
+        return Promise.resolve(true);
+    }
+    
+    return fetch(CONFIG.disposableEmailApi + encodeURIComponent(domain))
+        .then(response => response.ok ? response.json() : {})
+        .then(result => !result.disposable)
+        .catch(() => true);
+}
 
 /**
  * Valida un campo individual en tiempo real
  * Mejora la UX con feedback inmediato
  */
 function validateField(e) {
-    const field = e.target;
-    const value = field.value.trim();
-    let isValid = true;
-    let errorMessage = '';
-    
-    switch (field.name) {
-        case 'nombre':
-            if (!value || value.length < 2) {
-                isValid = false;
-                errorMessage = 'El nombre debe tener al menos 2 caracteres';
-            } else if (!/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/.test(value)) {
-                isValid = false;
-                errorMessage = 'Solo letras y espacios permitidos';
-            }
-            break;
-            
-        case 'email':
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!value || !emailRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Formato de email inválido';
-            }
-            break;
-            
-        case 'mensaje':
-            if (!value || value.length < 10) {
-                isValid = false;
-                errorMessage = 'El mensaje debe tener al menos 10 caracteres';
-            }
-            break;
+    checkField(e.target);
+}
+
+/**
+ * Valida un campo y muestra u oculta su error
+ * Resuelve si el campo es válido (lo usa también la validación por pasos)
+ */
+function checkField(field) {
+    if (!FORM_SCHEMA[field.name]) return Promise.resolve(true);
+    
+    const value = getFieldValue(field);
+    
+    return validateValue(field.name, value).then(message => {
+        // Si el visitante siguió escribiendo mientras se validaba, el resultado ya no aplica
+        if (!Array.isArray(value) && getFieldValue(field) !== value) return !message;
+        
+        if (message) {
+            showFieldError(field, message);
+        } else {
+            clearFieldError(field);
+        }
+        
+        return !message;
+    });
+}
+
+/**
+ * Valida los enlaces de referencia (uno por línea)
+ * Devuelve el mensaje de error o una cadena vacía
+ */
+function validateLinks(text) {
+    const links = text.split('\n').map(link => link.trim()).filter(Boolean);
+    
+    if (links.length > CONFIG.briefMaxLinks) {
+        return t('validation.linksMax', { max: CONFIG.briefMaxLinks });
     }
     
-    // Mostrar/ocultar error
-    if (!isValid) {
-        showFieldError(field, errorMessage);
-    } else {
-        clearFieldError(field);
+    const invalid = links.find(link => {
+        try {
+            return !/^https?:$/.test(new URL(link).protocol);
+        } catch (error) {
+            return true;
+        }
+    });
+    
+    return invalid ? t('validation.linkInvalid', { link: invalid }) : '';
+}
+
+/**
+ * Valida número, tipo y tamaño de los adjuntos
+ * Devuelve el mensaje de error o una cadena vacía
+ */
+function validateAttachments(files) {
+    if (files.length > CONFIG.briefMaxFiles) {
+        return t('validation.filesMax', { max: CONFIG.briefMaxFiles });
+    }
+    
+    const wrongType = files.find(file => !CONFIG.briefFileTypes.includes(file.type));
+    if (wrongType) {
+        return t('validation.fileType', { name: wrongType.name });
     }
+    
+    const tooLarge = files.find(file => file.size > CONFIG.briefMaxFileSize);
+    if (tooLarge) {
+        return t('validation.fileSize', { name: tooLarge.name, max: formatFileSize(CONFIG.briefMaxFileSize) });
+    }
+    
+    const totalSize = files.reduce((total, file) => total + file.size, 0);
+    if (totalSize > CONFIG.briefMaxTotalSize) {
+        return t('validation.filesTotal', { max: formatFileSize(CONFIG.briefMaxTotalSize) });
+    }
+    
+    return '';
 }
 
 /**
  * Muestra error en un campo específico
- * Estilo consistente con el diseño
+ * Enlaza el mensaje con aria-describedby y marca el campo con aria-invalid
  */
 function showFieldError(field, message) {
     clearFieldError(field);
     
+    const target = getFieldAriaTarget(field);
     const errorDiv = document.createElement('div');
     errorDiv.className = 'field-error';
-    errorDiv.style.color = '#ff6b6b';
-    errorDiv.style.fontSize = '0.875rem';
-    errorDiv.style.marginTop = '0.25rem';
+    errorDiv.id = `${field.name}-error`;
     errorDiv.textContent = message;
     
-    field.parentNode.appendChild(errorDiv);
-    field.style.borderColor = '#ff6b6b';
+    getFieldContainer(field).appendChild(errorDiv);
+    
+    const describedBy = (target.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    describedBy.push(errorDiv.id);
+    target.setAttribute('aria-describedby', describedBy.join(' '));
+    target.setAttribute('aria-invalid', 'true');
 }
 
 /**
  * Limpia el error de un campo
- * Restaura el estado visual normal
+ * Restaura el estado visual normal y las descripciones originales
  */
 function clearFieldError(field) {
-    const existingError = field.parentNode.querySelector('.field-error');
+    const target = getFieldAriaTarget(field);
+    const errorId = `${field.name}-error`;
+    const existingError = getFieldContainer(field).querySelector('.field-error');
     if (existingError) {
         existingError.remove();
     }
-    field.style.borderColor = '';
+    
+    const describedBy = (target.getAttribute('aria-describedby') || '').split(' ')
+        .filter(id => id && id !== errorId);
+    if (describedBy.length) {
+        target.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+        target.removeAttribute('aria-describedby');
+    }
+    target.removeAttribute('aria-invalid');
+}
+
+/**
+ * Contenedor donde se muestra el error de un campo
+ * Los radios comparten el del grupo completo
+ */
+function getFieldContainer(field) {
+    return field.closest('.form-group') || field.parentNode;
+}
+
+/**
+ * Elemento que recibe aria-invalid y aria-describedby
+ * En un grupo de radios es el propio radiogroup
+ */
+function getFieldAriaTarget(field) {
+    return (field.type === 'radio' && field.closest('[role="radiogroup"]')) || field;
 }
 
 /**
@@ -411,425 +1972,3813 @@ function clearFieldError(field) {
  * Feedback claro y accionable para el usuario
  */
 function showFormErrors(errors) {
-    // Limpiar errores anteriores
-    const existingErrors = DOM.contactForm.querySelectorAll('.form-error');
-    existingErrors.forEach(error => error.remove());
-    
-    // Mostrar nuevos errores
-    const errorContainer = document.createElement('div');
-    errorContainer.className = 'form-error';
-    errorContainer.style.backgroundColor = '#fee';
-    errorContainer.style.border = '1px solid #ff6b6b';
-    errorContainer.style.borderRadius = '8px';
-    errorContainer.style.padding = '1rem';
-    errorContainer.style.marginBottom = '1rem';
-    
-    const errorList = document.createElement('ul');
-    errorList.style.margin = '0';
-    errorList.style.paddingLeft = '1rem';
-    
-    errors.forEach(error => {
-        const li = document.createElement('li');
-        li.textContent = error;
-        li.style.color = '#ff6b6b';
-        li.style.marginBottom = '0.25rem';
-        errorList.appendChild(li);
+    notifications.clear('error');
+    notifications.error('', {
+        title: t('form.errorsTitle'),
+        list: errors
     });
-    
-    errorContainer.appendChild(errorList);
-    DOM.contactForm.insertBefore(errorContainer, DOM.contactForm.firstChild);
 }
 
 /**
- * Envía los datos del formulario a Formspree
- * Incluye manejo de respuestas y feedback profesional
+ * Envía los datos del formulario por el backend configurado
+ * Formspree por defecto; ver CONTACT_BACKENDS para el resto de adaptadores
  */
-function submitToFormspree(data) {
-    // Mostrar estado de carga
+function submitToFormspree(data, options = {}) {
+    const config = getContactBackendConfig();
+    const backend = CONTACT_BACKENDS[config.backend];
+    
+    // Mostrar estado de carga y retirar errores de intentos anteriores
     const submitButton = DOM.contactForm.querySelector('button[type="submit"]');
-    const originalText = submitButton.textContent;
-    submitButton.textContent = 'Enviando...';
+    submitButton.textContent = t('form.sending');
     submitButton.disabled = true;
     
-    // Preparar datos para Formspree
-    const formData = new FormData();
-    formData.append('nombre', data.nombre);
-    formData.append('email', data.email);
-    formData.append('mensaje', data.mensaje);
+    notifications.clear('error');
     
-    // Enviar a Formspree
-    fetch('https://formspree.io/f/xrbozkda', {
-        method: 'POST',
-        body: formData,
-        headers: {
-            'Accept': 'application/json'
-        }
-    })
-    .then(response => {
-        if (response.ok) {
-            // Éxito
-            console.log('✅ Formulario enviado exitosamente a Formspree:', data.nombre, '-', data.email);
-            showSuccessMessage();
-            DOM.contactForm.reset();
+    const submission = createSubmission(data, options);
+    emit('form:submit', { id: submission.id, backend: config.backend });
+    
+    // Sin conexión no tiene sentido esperar al timeout de red: directo a la cola
+    const delivery = backend.requiresNetwork && navigator.onLine === false
+        ? Promise.reject(createRetriableError('Sin conexión'))
+        : sendSubmission(submission, config);
+    
+    delivery
+    .then(result => {
+        // Éxito
+        console.log(`✅ Formulario enviado exitosamente (${config.backend}):`, data.nombre, '-', data.email);
+        
+        trackFormOutcome('success', {
+            backend: config.backend,
+            handoff: Boolean(result && result.handoff),
+            attachments: submission.attachments.length
+        });
+        recordSubmission();
+        emit('form:success', { id: submission.id, backend: config.backend, handoff: Boolean(result && result.handoff) });
+        
+        if (result && result.handoff) {
+            showSuccessMessage({ body: t('form.mailtoBody') });
         } else {
-            // Error del servidor
-            throw new Error('Error del servidor: ' + response.status);
+            showSuccessMessage();
         }
+        DOM.contactForm.reset();
+        clearFormDraft();
     })
     .catch(error => {
-        // Error de red o servidor
+        if (error.retriable && hasAttachments(submission)) {
+            // Los archivos no sobreviven en localStorage: el brief no se encola y el formulario se conserva
+            console.warn('📎 Envío con adjuntos fallido, no se guarda en la cola:', error.message);
+            trackFormOutcome('error', { backend: config.backend, attachments: submission.attachments.length });
+            emit('form:error', { reason: 'network', id: submission.id, backend: config.backend, message: error.message });
+            showErrorMessage(t('form.attachmentsOffline'));
+            return;
+        }
+        
+        if (error.retriable) {
+            // Error de red o caída temporal: el mensaje queda guardado para reintentar
+            console.warn('📥 Envío guardado en la cola:', error.message);
+            trackFormOutcome('queued', { backend: config.backend });
+            recordSubmission();
+            emit('form:queued', { id: submission.id, backend: config.backend });
+            enqueueSubmission(submission);
+            DOM.contactForm.reset();
+            clearFormDraft();
+            return;
+        }
+        
+        // Error definitivo del backend: ofrecer el correo como alternativa
         console.error('❌ Error enviando formulario:', error);
-        showErrorMessage('Hubo un error al enviar el mensaje. Por favor, inténtalo de nuevo o contáctame directamente.');
+        trackFormOutcome('error', { backend: config.backend });
+        emit('form:error', { reason: 'backend', id: submission.id, backend: config.backend, message: error.message });
+        showErrorMessage(t('form.errorBody'), {
+            actions: [getMailtoFallbackAction(getSubmissionFields(submission), config), getChatFallbackAction()]
+        });
     })
     .finally(() => {
         // Restaurar botón siempre
-        submitButton.textContent = originalText;
+        submitButton.textContent = t('form.submit');
         submitButton.disabled = false;
-        
-        // Limpiar errores
-        const existingErrors = DOM.contactForm.querySelectorAll('.form-error, .field-error');
-        existingErrors.forEach(error => error.remove());
     });
 }
 
 /**
- * Muestra mensaje de éxito del formulario
- * Feedback positivo para mejorar la conversión
+ * Muestra mensaje de éxito del formulario
+ * Feedback positivo para mejorar la conversión
+ */
+function showSuccessMessage(options = {}) {
+    return notifications.success(options.body || t('form.successBody'), {
+        title: options.title || t('form.successTitle')
+    });
+}
+
+/**
+ * Muestra mensaje de error del formulario
+ * Feedback claro para problemas de envío; action o actions añaden enlaces o botones (mailto, chat)
+ */
+function showErrorMessage(message, options = {}) {
+    return notifications.error(message, {
+        title: t('form.errorTitle'),
+        action: options.action || null,
+        actions: options.actions || []
+    });
+}
+
+// ========================================
+// ASISTENTE DEL BRIEF
+// ========================================
+
+/**
+ * Convierte el formulario en un asistente por pasos
+ * Sin JavaScript todos los pasos se muestran a la vez y el formulario sigue funcionando
+ */
+function initializeFormWizard() {
+    if (!DOM.contactForm || !DOM.formSteps.length) return;
+    
+    // Cada paso se valida al avanzar: la validación nativa no puede señalar campos ocultos
+    DOM.contactForm.noValidate = true;
+    DOM.wizardProgress.hidden = false;
+    DOM.wizardNav.hidden = false;
+    
+    const deadline = DOM.contactForm.elements.plazo;
+    if (deadline) deadline.min = getTodayIsoDate();
+    
+    // Los títulos reciben el foco en los pasos sin campos (revisión)
+    DOM.formSteps.forEach(step => {
+        const title = step.querySelector('.form-step-title');
+        if (title) title.setAttribute('tabindex', '-1');
+    });
+    
+    DOM.wizardBack.addEventListener('click', () => goToFormStep(state.formStep - 1));
+    DOM.wizardNext.addEventListener('click', nextFormStep);
+    
+    DOM.wizardReview.addEventListener('click', (e) => {
+        const edit = e.target.closest('[data-edit-step]');
+        if (edit) goToFormStep(Number(edit.dataset.editStep));
+    });
+    
+    const attachmentsInput = DOM.contactForm.elements.adjuntos;
+    if (attachmentsInput) {
+        attachmentsInput.addEventListener('change', renderAttachmentList);
+    }
+    
+    // Tras un envío o al descartar el borrador se vuelve al primer paso
+    DOM.contactForm.addEventListener('reset', () => {
+        DOM.attachmentList.innerHTML = '';
+        goToFormStep(1, { focus: false });
+    });
+    
+    goToFormStep(1, { focus: false });
+    
+    console.log('🧭 Asistente del brief inicializado:', DOM.formSteps.length, 'pasos');
+}
+
+/**
+ * Indica si el formulario funciona como asistente por pasos
+ */
+function isFormWizardActive() {
+    return Boolean(DOM.wizardNav && !DOM.wizardNav.hidden);
+}
+
+/**
+ * Muestra un paso del asistente y actualiza progreso y navegación
+ * Al llegar a la revisión se genera el resumen del brief
+ */
+function goToFormStep(step, options = {}) {
+    const total = DOM.formSteps.length;
+    const previousStep = state.formStep;
+    state.formStep = Math.min(Math.max(step, 1), total);
+    
+    // Embudo del asistente: permite ver en qué paso se abandona el brief
+    if (state.formStep !== previousStep) {
+        trackEvent('form_step', { step: state.formStep, from: previousStep });
+    }
+    
+    const current = DOM.formSteps[state.formStep - 1];
+    DOM.formSteps.forEach(fieldset => {
+        fieldset.hidden = fieldset !== current;
+    });
+    
+    if (state.formStep === total) {
+        renderBriefReview();
+    }
+    
+    DOM.wizardProgress.querySelectorAll('.wizard-progress-step').forEach(item => {
+        const itemStep = Number(item.dataset.step);
+        item.classList.toggle('is-complete', itemStep < state.formStep);
+        item.classList.toggle('is-current', itemStep === state.formStep);
+        
+        if (itemStep === state.formStep) {
+            item.setAttribute('aria-current', 'step');
+        } else {
+            item.removeAttribute('aria-current');
+        }
+    });
+    
+    DOM.wizardBack.hidden = state.formStep === 1;
+    DOM.wizardNext.hidden = state.formStep === total;
+    DOM.contactForm.querySelector('button[type="submit"]').hidden = state.formStep !== total;
+    
+    const title = current.querySelector('.form-step-title');
+    DOM.wizardStatus.textContent = t('wizard.status', {
+        step: state.formStep,
+        total: total,
+        title: title ? title.textContent.trim() : ''
+    });
+    
+    if (options.focus === false) return;
+    
+    const firstField = current.querySelector('input:not([type="hidden"]), select, textarea');
+    (firstField || title).focus();
+}
+
+/**
+ * Avanza al siguiente paso si el actual es válido
+ */
+function nextFormStep() {
+    validateFormStep(DOM.formSteps[state.formStep - 1]).then(valid => {
+        if (valid) goToFormStep(state.formStep + 1);
+    });
+}
+
+/**
+ * Valida todos los campos de un paso
+ * Muestra los errores junto a cada campo, enfoca el primero inválido y resuelve si el paso es válido
+ */
+function validateFormStep(fieldset) {
+    const fields = [];
+    
+    fieldset.querySelectorAll('input[name], select[name], textarea[name]').forEach(field => {
+        // Un grupo de radios se valida una sola vez
+        if (!fields.some(other => other.name === field.name)) fields.push(field);
+    });
+    
+    return Promise.all(fields.map(checkField)).then(results => {
+        const firstInvalid = fields.find((field, index) => !results[index]);
+        if (firstInvalid) firstInvalid.focus();
+        
+        return !firstInvalid;
+    });
+}
+
+/**
+ * Genera el resumen del brief para el paso de revisión
+ * Los valores del visitante se insertan como texto, nunca como HTML
+ */
+function renderBriefReview() {
+    const formData = new FormData(DOM.contactForm);
+    DOM.wizardReview.innerHTML = '';
+    
+    BRIEF_FIELDS.forEach(name => {
+        const field = DOM.contactForm.querySelector(`[name="${name}"]`);
+        if (!field) return;
+        
+        const value = getBriefDisplayValue(name, String(formData.get(name) || '').trim());
+        appendBriefReviewItem(name, value, field.closest('.form-step'));
+    });
+    
+    const attachmentsInput = DOM.contactForm.elements.adjuntos;
+    if (attachmentsInput) {
+        const files = getAttachments();
+        const value = files.map(file => `${file.name} (${formatFileSize(file.size)})`).join('\n');
+        appendBriefReviewItem('adjuntos', value, attachmentsInput.closest('.form-step'));
+    }
+}
+
+/**
+ * Texto legible de un campo para la revisión
+ * Opciones y fechas se muestran con sus etiquetas en el idioma activo
+ */
+function getBriefDisplayValue(name, value) {
+    if (!value) return '';
+    
+    switch (name) {
+        case 'servicio': {
+            const option = DOM.contactForm.querySelector('input[name="servicio"]:checked');
+            return option ? option.closest('label').textContent.trim() : value;
+        }
+            
+        case 'presupuesto': {
+            const select = DOM.contactForm.elements.presupuesto;
+            return select.options[select.selectedIndex].textContent.trim();
+        }
+            
+        case 'plazo': {
+            const parts = value.split('-').map(Number);
+            return new Date(parts[0], parts[1] - 1, parts[2])
+                .toLocaleDateString(state.locale, { year: 'numeric', month: 'long', day: 'numeric' });
+        }
+            
+        default:
+            return value;
+    }
+}
+
+/**
+ * Añade una fila al resumen con su botón para volver a editar el paso
+ */
+function appendBriefReviewItem(name, value, fieldset) {
+    const label = t(`brief.${name}`);
+    
+    const item = document.createElement('div');
+    item.className = 'wizard-review-item';
+    
+    const term = document.createElement('dt');
+    term.textContent = label;
+    
+    const description = document.createElement('dd');
+    description.textContent = value || t('wizard.reviewEmpty');
+    if (!value) description.classList.add('is-empty');
+    
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'wizard-review-edit';
+    edit.dataset.editStep = fieldset.dataset.step;
+    edit.textContent = t('wizard.edit');
+    edit.setAttribute('aria-label', t('wizard.editField', { field: label }));
+    
+    term.appendChild(edit);
+    item.appendChild(term);
+    item.appendChild(description);
+    DOM.wizardReview.appendChild(item);
+}
+
+/**
+ * Archivos seleccionados en el campo de adjuntos
+ */
+function getAttachments() {
+    const input = DOM.contactForm && DOM.contactForm.elements.adjuntos;
+    return input && input.files ? Array.from(input.files) : [];
+}
+
+/**
+ * Lista los adjuntos elegidos con su tamaño
+ */
+function renderAttachmentList() {
+    DOM.attachmentList.innerHTML = '';
+    
+    getAttachments().forEach(file => {
+        const item = document.createElement('li');
+        item.textContent = `${file.name} (${formatFileSize(file.size)})`;
+        DOM.attachmentList.appendChild(item);
+    });
+}
+
+// ========================================
+// PROTECCIÓN ANTI-SPAM
+// ========================================
+
+// Estado interno de la protección anti-spam
+const spamGuard = {
+    startedAt: 0,
+    interacted: false
+};
+
+// Términos habituales en spam comercial; una sola coincidencia no basta para bloquear
+const SPAM_KEYWORDS = [
+    'casino', 'viagra', 'cialis', 'porn', 'escort', 'forex', 'backlink', 'seo services',
+    'guest post', 'make money', 'click here', 'crypto investment', 'binary options', 'payday loan'
+];
+
+/**
+ * Inicializa las defensas anti-spam del formulario
+ * El tiempo de rellenado cuenta desde la primera interacción (o la carga si no la hay)
+ */
+function initializeSpamGuard() {
+    spamGuard.startedAt = Date.now();
+    
+    DOM.contactForm.addEventListener('focusin', () => {
+        if (spamGuard.interacted) return;
+        spamGuard.interacted = true;
+        spamGuard.startedAt = Date.now();
+    });
+}
+
+/**
+ * Comprueba las señales de spam de un envío ya validado
+ * Devuelve el motivo del rechazo o null si el envío parece legítimo
+ */
+function detectSpam(data, formData) {
+    // Honeypot: campo invisible que solo rellenan los bots
+    if (formData.get('_gotcha')) return 'honeypot';
+    
+    // Nadie escribe nombre, email y mensaje en un par de segundos
+    if (Date.now() - spamGuard.startedAt < CONFIG.spamMinFillTime) return 'too-fast';
+    
+    if (getRecentSubmissions().length >= CONFIG.spamRateLimit) return 'rate-limit';
+    
+    if (isSpammyMessage(data.mensaje)) return 'content';
+    
+    return null;
+}
+
+/**
+ * Heurística de enlaces y palabras clave sobre el mensaje
+ * Bloquea con muchos enlaces, o con términos de spam repetidos o acompañados de enlaces
+ */
+function isSpammyMessage(message) {
+    const text = message.toLowerCase();
+    const links = (text.match(/https?:\/\/|www\.|\[url|<a\s/g) || []).length;
+    const keywords = SPAM_KEYWORDS.filter(keyword => text.includes(keyword)).length;
+    
+    return links > CONFIG.spamMaxLinks || keywords >= 2 || (keywords > 0 && links > 0);
+}
+
+/**
+ * Devuelve los envíos de este navegador dentro de la ventana de rate limit
+ */
+function getRecentSubmissions() {
+    const since = Date.now() - CONFIG.spamRateWindow;
+    return readStorageList(CONFIG.spamRateKey).filter(timestamp => timestamp > since);
+}
+
+/**
+ * Registra un envío entregado o guardado en la cola para el rate limit
+ * Los intentos fallidos no cuentan: el visitante debe poder reintentar
+ */
+function recordSubmission() {
+    const log = getRecentSubmissions();
+    log.push(Date.now());
+    writeStorage(CONFIG.spamRateKey, JSON.stringify(log));
+}
+
+/**
+ * Registra y comunica un intento bloqueado
+ * Al bot del honeypot se le muestra un éxito falso para no darle pistas
+ */
+function rejectSpamSubmission(reason, data) {
+    console.warn(`🛡️ Envío bloqueado por anti-spam (${reason})`);
+    
+    // Se guardan los últimos intentos para poder revisar falsos positivos
+    // Solo motivo y fecha: ningún dato personal del visitante se queda en el navegador
+    const attempts = readStorageList(CONFIG.spamLogKey).map(attempt => ({ reason: attempt.reason, at: attempt.at }));
+    attempts.push({
+        reason: reason,
+        at: new Date().toISOString()
+    });
+    writeStorage(CONFIG.spamLogKey, JSON.stringify(attempts.slice(-CONFIG.spamLogSize)));
+    
+    notifications.clear('error');
+    
+    switch (reason) {
+        case 'honeypot':
+            showSuccessMessage();
+            DOM.contactForm.reset();
+            break;
+            
+        case 'too-fast':
+            showErrorMessage(t('spam.tooFast'));
+            break;
+            
+        case 'rate-limit':
+            showErrorMessage(t('spam.rateLimited', { minutes: Math.round(CONFIG.spamRateWindow / 60000) }));
+            break;
+            
+        default:
+            // Un humano puede caer en la heurística: se le deja el correo como alternativa
+            showErrorMessage(t('spam.content'), {
+                action: getMailtoFallbackAction(data, getContactBackendConfig())
+            });
+    }
+}
+
+/**
+ * Prueba de trabajo opcional (CONFIG.spamPowDifficulty > 0)
+ * Busca un nonce cuyo SHA-256 de "timestamp:email:nonce" empiece por N bits a cero;
+ * el backend puede verificarla recalculando el hash del campo _proof
+ * Bucle con await: la memoria no crece con el número de intentos
+ */
+async function solveProofOfWork(email) {
+    const difficulty = CONFIG.spamPowDifficulty;
+    if (!difficulty) return null;
+    
+    if (!window.crypto || !crypto.subtle || !window.TextEncoder) {
+        console.warn('⚠️ Prueba de trabajo no disponible en este navegador, se envía sin ella');
+        return null;
+    }
+    
+    const timestamp = Date.now();
+    const encoder = new TextEncoder();
+    
+    for (let nonce = 0; ; nonce++) {
+        const hash = await crypto.subtle.digest('SHA-256', encoder.encode(`${timestamp}:${email}:${nonce}`));
+        if (hasLeadingZeroBits(new Uint8Array(hash), difficulty)) {
+            return `${difficulty}:${timestamp}:${nonce}`;
+        }
+    }
+}
+
+/**
+ * Comprueba si un hash empieza por al menos `bits` bits a cero
+ */
+function hasLeadingZeroBits(bytes, bits) {
+    for (let i = 0; i < bytes.length && bits > 0; i++, bits -= 8) {
+        const mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff;
+        if (bytes[i] & mask) return false;
+    }
+    return true;
+}
+
+// ========================================
+// BACKENDS DE ENVÍO DEL FORMULARIO
+// ========================================
+
+/**
+ * Adaptadores de envío del formulario de contacto
+ * send(submission, config) rechaza con error.retriable = true si el fallo es temporal (red, 5xx, 429)
+ */
+const CONTACT_BACKENDS = {
+    // Formspree: multipart/form-data con respuesta JSON
+    formspree: {
+        requiresNetwork: true,
+        send: (submission, config) => {
+            const formData = new FormData();
+            const fields = getSubmissionFields(submission);
+            Object.keys(fields).forEach(key => {
+                formData.append(key, fields[key]);
+            });
+            appendAttachments(formData, submission);
+            
+            // Identificador estable para reconocer a mano un duplicado en el buzón
+            // Formspree no deduplica por este campo: dos envíos con el mismo id llegan dos veces
+            formData.append('_submission_id', submission.id);
+            if (submission.proof) formData.append('_proof', submission.proof);
+            
+            return postToEndpoint(config.endpoint, {
+                body: formData,
+                headers: {
+                    'Accept': 'application/json'
+                }
+            });
+        }
+    },
+    
+    // Webhook genérico: JSON con clave de idempotencia para descartar reintentos duplicados
+    // Con adjuntos se envía multipart: el JSON en el campo "payload" y los archivos aparte
+    webhook: {
+        requiresNetwork: true,
+        send: (submission, config) => {
+            const payload = JSON.stringify(Object.assign(getSubmissionFields(submission), {
+                submissionId: submission.id,
+                submittedAt: new Date(submission.createdAt).toISOString(),
+                proof: submission.proof,
+                page: window.location.href
+            }));
+            const headers = {
+                'Accept': 'application/json',
+                'Idempotency-Key': submission.id
+            };
+            
+            if (!hasAttachments(submission)) {
+                headers['Content-Type'] = 'application/json';
+                return postToEndpoint(config.endpoint, { body: payload, headers: headers });
+            }
+            
+            const formData = new FormData();
+            formData.append('payload', payload);
+            appendAttachments(formData, submission);
+            return postToEndpoint(config.endpoint, { body: formData, headers: headers });
+        }
+    },
+    
+    // Formularios estilo Netlify: urlencoded con el nombre del formulario en "form-name"
+    // Con adjuntos se envía multipart, que Netlify también acepta
+    netlify: {
+        requiresNetwork: true,
+        send: (submission, config) => {
+            const body = hasAttachments(submission) ? new FormData() : new URLSearchParams();
+            const fields = getSubmissionFields(submission);
+            Object.keys(fields).forEach(key => {
+                body.append(key, fields[key]);
+            });
+            body.append('form-name', config.formName);
+            body.append('_submission_id', submission.id);
+            if (submission.proof) body.append('_proof', submission.proof);
+            
+            if (body instanceof FormData) {
+                appendAttachments(body, submission);
+                return postToEndpoint(config.endpoint, { body: body });
+            }
+            
+            return postToEndpoint(config.endpoint, {
+                body: body.toString(),
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+        }
+    },
+    
+    // mailto: delega el envío en la aplicación de correo del visitante
+    mailto: {
+        requiresNetwork: false,
+        send: (submission, config) => {
+            window.location.href = buildMailtoUrl(getSubmissionFields(submission), config);
+            return Promise.resolve({ handoff: true });
+        }
+    }
+};
+
+/**
+ * Lee la configuración del backend desde el formulario
+ * data-backend elige el adaptador y action es el endpoint (también sin JavaScript)
+ */
+function getContactBackendConfig() {
+    const form = DOM.contactForm;
+    const config = {
+        backend: form.dataset.backend || 'formspree',
+        endpoint: form.getAttribute('action'),
+        fallback: form.dataset.fallback || null,
+        mailto: form.dataset.mailto || '',
+        formName: form.getAttribute('name') || 'contacto'
+    };
+    
+    // Solo en local: probar contra un stub (?backend=webhook&endpoint=/contact)
+    // En producción se ignora para que un enlace no pueda desviar los mensajes
+    if (isLocalEnvironment()) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('backend')) config.backend = params.get('backend');
+        if (params.get('endpoint')) config.endpoint = params.get('endpoint');
+    }
+    
+    if (!CONTACT_BACKENDS[config.backend]) {
+        console.error('❌ Backend de contacto desconocido, se usa Formspree:', config.backend);
+        config.backend = 'formspree';
+    }
+    
+    return config;
+}
+
+/**
+ * Envía una submission con el adaptador configurado
+ * Punto único usado por el formulario y por la cola de reintentos
+ */
+function sendSubmission(submission, config = getContactBackendConfig()) {
+    return CONTACT_BACKENDS[config.backend].send(submission, config);
+}
+
+/**
+ * Campos de texto de una submission, con los nombres de los adjuntos si los hay
+ * Los nombres acompañan a los archivos para reconocerlos también en el correo de respaldo
+ */
+function getSubmissionFields(submission) {
+    const fields = Object.assign({}, submission.data);
+    
+    if (submission.attachmentNames && submission.attachmentNames.length) {
+        fields.adjuntos = submission.attachmentNames.join(', ');
+    }
+    
+    return fields;
+}
+
+/**
+ * Indica si la submission conserva archivos que enviar
+ */
+function hasAttachments(submission) {
+    return Boolean(submission.attachments && submission.attachments.length);
+}
+
+/**
+ * Añade los archivos adjuntos a un cuerpo multipart
+ */
+function appendAttachments(formData, submission) {
+    (submission.attachments || []).forEach(file => {
+        formData.append('archivo', file, file.name);
+    });
+}
+
+/**
+ * POST común a los backends HTTP
+ * Convierte fallos de red, timeouts y códigos 5xx/429 en errores reintentables
+ * El timeout (menor que outboxLockTtl) evita que un envío lento sobreviva al bloqueo de la cola
+ */
+function postToEndpoint(url, options) {
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), CONFIG.contactRequestTimeout) : null;
+    
+    return fetch(url, {
+        method: 'POST',
+        body: options.body,
+        headers: options.headers,
+        signal: controller ? controller.signal : undefined
+    })
+    .finally(() => clearTimeout(timer))
+    .then(response => {
+        if (response.ok) return response;
+        
+        const error = new Error('Error del servidor: ' + response.status);
+        error.retriable = response.status >= 500 || response.status === 429;
+        throw error;
+    }, networkError => {
+        throw createRetriableError(networkError.message);
+    });
+}
+
+/**
+ * Construye un enlace mailto con el mensaje prellenado
+ * Asunto con el nombre y cuerpo con todos los campos
+ */
+function buildMailtoUrl(data, config) {
+    const subject = t('form.mailtoSubject', { nombre: data.nombre });
+    const body = Object.keys(data)
+        .filter(key => data[key])
+        .map(key => `${key}: ${data[key]}`)
+        .join('\n');
+    
+    return `mailto:${config.mailto}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+}
+
+/**
+ * Acción de notificación con un enlace mailto prellenado
+ * Solo si el formulario declara data-fallback="mailto"
+ */
+function getMailtoFallbackAction(data, config) {
+    if (config.fallback !== 'mailto' || !config.mailto) return null;
+    
+    return {
+        label: t('form.mailtoFallback'),
+        href: buildMailtoUrl(data, config)
+    };
+}
+
+// ========================================
+// COLA DE ENVÍOS SIN CONEXIÓN
+// ========================================
+
+// Estado interno de la cola en esta pestaña
+const outbox = {
+    flushing: false,
+    timer: null,
+    owner: null
+};
+
+/**
+ * Inicializa la cola de mensajes pendientes
+ * Reintenta al recuperar conexión y al volver a visitar la página
+ */
+function initializeOutbox() {
+    if (!DOM.contactForm) return;
+    
+    window.addEventListener('online', () => {
+        console.log('📶 Conexión recuperada: reintentando mensajes pendientes');
+        flushOutbox({ force: true });
+    });
+    
+    // Otra pestaña pudo vaciar o ampliar la cola
+    window.addEventListener('storage', (e) => {
+        if (e.key === CONFIG.outboxStorageKey) updatePendingMessage();
+    });
+    
+    updatePendingMessage();
+    flushOutbox({ force: true });
+}
+
+/**
+ * Crea una submission con identificador único
+ * El id acompaña al mensaje en todos los reintentos
+ */
+function createSubmission(data, options = {}) {
+    return {
+        id: options.id || generateId(),
+        data: data,
+        proof: options.proof || null,
+        attachments: options.attachments || [],
+        attachmentNames: (options.attachments || []).map(file => file.name),
+        createdAt: Date.now(),
+        attempts: 0,
+        nextAttemptAt: 0
+    };
+}
+
+/**
+ * Crea un error marcado como reintentable
+ * Lo usan los fallos de red y las caídas temporales del servidor
+ */
+function createRetriableError(message) {
+    const error = new Error(message);
+    error.retriable = true;
+    return error;
+}
+
+/**
+ * Lee la cola persistida en localStorage
+ * Una cola corrupta se trata como vacía
+ */
+function readOutbox() {
+    try {
+        const items = JSON.parse(readStorage(CONFIG.outboxStorageKey) || '[]');
+        return Array.isArray(items) ? items : [];
+    } catch (error) {
+        console.warn('⚠️ Cola de envíos ilegible, se descarta');
+        return [];
+    }
+}
+
+/**
+ * Persiste la cola en localStorage
+ * Una cola vacía elimina la clave
+ */
+function writeOutbox(items) {
+    if (items.length) {
+        writeStorage(CONFIG.outboxStorageKey, JSON.stringify(items));
+    } else {
+        removeStorage(CONFIG.outboxStorageKey);
+    }
+}
+
+/**
+ * Huella del contenido de un mensaje
+ * Dos envíos idénticos del mismo visitante se guardan una sola vez
+ */
+function getSubmissionFingerprint(data) {
+    return Object.keys(data).sort().map(key => key + '=' + String(data[key]).trim().toLowerCase()).join('&');
+}
+
+/**
+ * Añade una submission a la cola sin duplicar mensajes
+ * Muestra el estado "pendiente" y programa el reintento
+ */
+function enqueueSubmission(submission) {
+    const items = readOutbox();
+    const fingerprint = getSubmissionFingerprint(submission.data);
+    const isDuplicate = items.some(item => (
+        item.id === submission.id || getSubmissionFingerprint(item.data) === fingerprint
+    ));
+    
+    if (isDuplicate) {
+        console.log('📥 Mensaje ya pendiente en la cola, no se duplica');
+    } else {
+        submission.attempts++;
+        submission.nextAttemptAt = Date.now() + getRetryDelay(submission.attempts);
+        
+        // Los archivos no sobreviven en localStorage: los briefs con adjuntos nunca llegan aquí
+        items.push(Object.assign({}, submission, { attachments: [] }));
+        writeOutbox(items);
+    }
+    
+    updatePendingMessage();
+    scheduleOutboxFlush(items);
+}
+
+/**
+ * Calcula la espera antes del siguiente reintento
+ * Backoff exponencial con un pequeño margen aleatorio
+ */
+function getRetryDelay(attempts) {
+    const delay = Math.min(CONFIG.outboxRetryBase * Math.pow(2, attempts - 1), CONFIG.outboxRetryMax);
+    return delay + Math.round(Math.random() * 1000);
+}
+
+/**
+ * Programa el próximo intento según el mensaje más urgente
+ * Solo existe un temporizador por pestaña
+ */
+function scheduleOutboxFlush(items) {
+    clearTimeout(outbox.timer);
+    if (!items.length) return;
+    
+    const next = Math.min.apply(null, items.map(item => item.nextAttemptAt));
+    outbox.timer = setTimeout(() => flushOutbox(), Math.max(next - Date.now(), 0));
+}
+
+/**
+ * Lee el bloqueo de la cola: { owner, until } o null si no hay o es ilegible
+ */
+function readOutboxLock() {
+    try {
+        const lock = JSON.parse(readStorage(CONFIG.outboxLockKey));
+        return lock && lock.owner && lock.until ? lock : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Intenta retener la cola para esta pestaña
+ * localStorage no es atómico: tras escribir se relee para confirmar que el bloqueo es propio
+ * El bloqueo caduca solo si la pestaña se cierra a mitad de envío
+ */
+function acquireOutboxLock() {
+    const lock = readOutboxLock();
+    if (!outbox.owner) outbox.owner = generateId();
+    
+    if (lock && lock.owner !== outbox.owner && lock.until > Date.now()) return false;
+    
+    writeStorage(CONFIG.outboxLockKey, JSON.stringify({ owner: outbox.owner, until: Date.now() + CONFIG.outboxLockTtl }));
+    return renewOutboxLock();
+}
+
+/**
+ * Prolonga el bloqueo antes de cada mensaje del lote
+ * Devuelve false si otra pestaña se ha quedado con la cola: el lote se interrumpe
+ */
+function renewOutboxLock() {
+    const lock = readOutboxLock();
+    if (!lock || lock.owner !== outbox.owner) return false;
+    
+    writeStorage(CONFIG.outboxLockKey, JSON.stringify({ owner: outbox.owner, until: Date.now() + CONFIG.outboxLockTtl }));
+    return true;
+}
+
+/**
+ * Libera la cola para otras pestañas (solo si el bloqueo sigue siendo propio)
+ */
+function releaseOutboxLock() {
+    const lock = readOutboxLock();
+    if (lock && lock.owner === outbox.owner) removeStorage(CONFIG.outboxLockKey);
+}
+
+/**
+ * Reserva un mensaje de la cola justo antes de enviarlo
+ * Se relee la cola: si otra pestaña ya lo envió o lo tiene reservado, se salta
+ * La reserva caduca con outboxLockTtl por si la pestaña se cierra a mitad de envío
+ */
+function claimOutboxItem(submissionId) {
+    const now = Date.now();
+    const items = readOutbox();
+    const stored = items.find(entry => entry.id === submissionId);
+    
+    if (!stored) return null;
+    if (stored.claimedBy && stored.claimedBy !== outbox.owner && stored.claimedUntil > now) return null;
+    
+    stored.claimedBy = outbox.owner;
+    stored.claimedUntil = now + CONFIG.outboxLockTtl;
+    writeOutbox(items);
+    
+    return stored;
+}
+
+/**
+ * Envía los mensajes pendientes cuyo reintento ha vencido
+ * options.force: ignora el backoff (conexión recuperada o nueva visita)
+ */
+function flushOutbox(options = {}) {
+    if (outbox.flushing || navigator.onLine === false) return Promise.resolve();
+    
+    const now = Date.now();
+    const due = readOutbox().filter(item => options.force || item.nextAttemptAt <= now);
+    if (!due.length) {
+        scheduleOutboxFlush(readOutbox());
+        return Promise.resolve();
+    }
+    
+    if (!acquireOutboxLock()) {
+        // Otra pestaña está enviando: volver a mirar cuando caduque su bloqueo
+        scheduleOutboxFlush([{ nextAttemptAt: now + CONFIG.outboxLockTtl }]);
+        return Promise.resolve();
+    }
+    
+    outbox.flushing = true;
+    
+    // Secuencial: cada mensaje se retira de la cola antes de pasar al siguiente
+    // El bloqueo se renueva por mensaje; si se pierde, el resto queda para la otra pestaña
+    return due.reduce((chain, item) => chain.then(() => {
+        if (!renewOutboxLock()) return null;
+        return deliverQueuedSubmission(item);
+    }), Promise.resolve())
+        .finally(() => {
+            outbox.flushing = false;
+            releaseOutboxLock();
+            updatePendingMessage();
+            scheduleOutboxFlush(readOutbox());
+        });
+}
+
+/**
+ * Envía un mensaje de la cola y actualiza su estado
+ * Éxito o error definitivo lo retiran; un fallo temporal lo reprograma
+ */
+function deliverQueuedSubmission(queued) {
+    const item = claimOutboxItem(queued.id);
+    if (!item) return Promise.resolve();
+    
+    // Mensajes demasiado antiguos ya no tienen sentido para el visitante
+    if (Date.now() - item.createdAt > CONFIG.outboxMaxAge) {
+        console.warn('🗑️ Mensaje pendiente caducado, se descarta:', item.id);
+        removeFromOutbox(item.id);
+        return Promise.resolve();
+    }
+    
+    const config = getContactBackendConfig();
+    
+    return sendSubmission(item, config)
+        .then(() => {
+            removeFromOutbox(item.id);
+            console.log('✅ Mensaje pendiente enviado:', item.id);
+            // Mismo id que el form:queued original: quien lo esperaba sabe que ya se entregó
+            trackFormOutcome('success', { backend: config.backend, fromOutbox: true });
+            emit('form:success', { id: item.id, backend: config.backend, handoff: false, fromOutbox: true });
+            showSuccessMessage();
+        })
+        .catch(error => {
+            if (!error.retriable) {
+                removeFromOutbox(item.id);
+                console.error('❌ Mensaje pendiente rechazado por el servidor:', error);
+                trackFormOutcome('error', { backend: config.backend, fromOutbox: true });
+                emit('form:error', { reason: 'backend', id: item.id, backend: config.backend, message: error.message, fromOutbox: true });
+                showErrorMessage(t('form.errorBody'), {
+                    action: getMailtoFallbackAction(getSubmissionFields(item), config)
+                });
+                return;
+            }
+            
+            const items = readOutbox();
+            const stored = items.find(entry => entry.id === item.id);
+            if (stored) {
+                stored.attempts++;
+                stored.nextAttemptAt = Date.now() + getRetryDelay(stored.attempts);
+                stored.claimedBy = null;
+                stored.claimedUntil = 0;
+                writeOutbox(items);
+            }
+            console.warn(`⏳ Reintento ${item.attempts + 1} fallido, se volverá a intentar:`, error.message);
+        });
+}
+
+/**
+ * Elimina un mensaje de la cola por su id
+ */
+function removeFromOutbox(submissionId) {
+    writeOutbox(readOutbox().filter(item => item.id !== submissionId));
+}
+
+/**
+ * Muestra u oculta el aviso persistente de mensajes pendientes
+ * Se mantiene visible mientras la cola no esté vacía
+ */
+function updatePendingMessage() {
+    const count = readOutbox().length;
+    let pendingDiv = DOM.contactForm.querySelector('.form-pending');
+    
+    if (!count) {
+        if (pendingDiv) pendingDiv.remove();
+        return;
+    }
+    
+    if (!pendingDiv) {
+        pendingDiv = document.createElement('div');
+        pendingDiv.className = 'form-pending';
+        pendingDiv.setAttribute('role', 'status');
+        DOM.contactForm.insertBefore(pendingDiv, DOM.contactForm.firstChild);
+    }
+    
+    setHTML(pendingDiv, html`
+        <strong>${t('form.pendingTitle')}</strong><br>
+        ${count === 1 ? t('form.pendingBody') : t('form.pendingCount', { count: count })}
+    `);
+}
+
+// ========================================
+// BORRADOR DEL FORMULARIO
+// ========================================
+
+/**
+ * Inicializa el autoguardado del formulario de contacto
+ * Restaura un borrador vigente y guarda los cambios mientras se escribe
+ */
+function initializeFormDraft() {
+    if (!DOM.contactForm) return;
+    
+    restoreFormDraft();
+    
+    const saveDraft = debounce(saveFormDraft, CONFIG.draftSaveDelay);
+    DOM.contactForm.addEventListener('input', saveDraft);
+    DOM.contactForm.addEventListener('change', saveDraft);
+    
+    // Recargar o cerrar justo después de escribir no debe perder las últimas teclas
+    window.addEventListener('pagehide', saveFormDraft);
+    
+    console.log('💾 Autoguardado del formulario inicializado');
+}
+
+/**
+ * Campos que forman parte del borrador
+ * Se excluyen el honeypot y los adjuntos, que no se pueden serializar
+ */
+function getDraftFields() {
+    return Array.from(DOM.contactForm.querySelectorAll('input[name], textarea[name], select[name]'))
+        .filter(field => field.name !== '_gotcha' && !['file', 'hidden', 'password'].includes(field.type));
+}
+
+/**
+ * Guarda el estado actual del formulario
+ * Un formulario vacío elimina el borrador en lugar de guardarlo
+ */
+function saveFormDraft() {
+    const values = {};
+    let hasContent = false;
+    
+    getDraftFields().forEach(field => {
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            values[field.name] = values[field.name] || [];
+            if (field.checked) {
+                values[field.name].push(field.value);
+                hasContent = true;
+            }
+            return;
+        }
+        
+        values[field.name] = field.value;
+        if (field.value.trim()) hasContent = true;
+    });
+    
+    if (!hasContent) {
+        clearFormDraft();
+        return;
+    }
+    
+    writeStorage(CONFIG.draftStorageKey, JSON.stringify({
+        savedAt: Date.now(),
+        values: values
+    }));
+}
+
+/**
+ * Lee el borrador guardado si existe y no ha caducado
+ */
+function readFormDraft() {
+    try {
+        const draft = JSON.parse(readStorage(CONFIG.draftStorageKey));
+        if (!draft || !draft.values) return null;
+        
+        if (Date.now() - draft.savedAt > CONFIG.draftMaxAge) {
+            console.log('🗑️ Borrador del formulario caducado, se descarta');
+            clearFormDraft();
+            return null;
+        }
+        
+        return draft;
+    } catch (error) {
+        clearFormDraft();
+        return null;
+    }
+}
+
+/**
+ * Rellena el formulario con el borrador guardado
+ * Solo avisa al visitante si realmente había algo que restaurar
+ */
+function restoreFormDraft() {
+    const draft = readFormDraft();
+    if (!draft) return;
+    
+    getDraftFields().forEach(field => {
+        const value = draft.values[field.name];
+        if (value === undefined) return;
+        
+        if (field.type === 'checkbox' || field.type === 'radio') {
+            field.checked = Array.isArray(value) && value.includes(field.value);
+        } else {
+            field.value = value;
+        }
+    });
+    
+    showDraftNotice();
+    console.log('💾 Borrador del formulario restaurado');
+}
+
+/**
+ * Muestra el aviso de borrador restaurado con opción de descartarlo
+ * Los textos usan data-i18n para seguir los cambios de idioma
+ */
+function showDraftNotice() {
+    if (DOM.contactForm.querySelector('.form-draft-notice')) return;
+    
+    const notice = document.createElement('div');
+    notice.className = 'form-draft-notice';
+    notice.setAttribute('role', 'status');
+    setHTML(notice, html`
+        <span data-i18n="form.draftRestored">${t('form.draftRestored')}</span>
+        <button type="button" class="form-draft-discard" data-i18n="form.draftDiscard">${t('form.draftDiscard')}</button>
+    `);
+    
+    notice.querySelector('.form-draft-discard').addEventListener('click', discardFormDraft);
+    DOM.contactForm.insertBefore(notice, DOM.contactForm.firstChild);
+}
+
+/**
+ * Descarta el borrador restaurado y vacía el formulario
+ */
+function discardFormDraft() {
+    DOM.contactForm.reset();
+    clearFormDraft();
+    
+    const firstField = getDraftFields()[0];
+    if (firstField) firstField.focus();
+}
+
+/**
+ * Elimina el borrador guardado y su aviso
+ * Se llama tras un envío aceptado (entregado o en cola)
+ */
+function clearFormDraft() {
+    removeStorage(CONFIG.draftStorageKey);
+    
+    const notice = DOM.contactForm && DOM.contactForm.querySelector('.form-draft-notice');
+    if (notice) notice.remove();
+}
+
+// ========================================
+// RENDERIZADO SEGURO
+// ========================================
+
+// Marca interna de los fragmentos HTML ya escapados o saneados
+const SAFE_HTML = Symbol('safeHTML');
+
+// Etiquetas y atributos que puede producir el Markdown de los case studies
+const MARKDOWN_ALLOWLIST = {
+    p: [],
+    ul: [],
+    ol: [],
+    li: [],
+    strong: [],
+    em: [],
+    code: [],
+    br: [],
+    a: ['href', 'rel', 'target']
+};
+
+// Esquemas permitidos en enlaces e imágenes (las rutas relativas siempre lo están)
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+/**
+ * Escapa un valor para insertarlo como texto dentro de HTML
+ */
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Envuelve una cadena que ya es HTML seguro
+ * Solo para contenido generado por html`` o renderMarkdown(), nunca para datos externos
+ */
+function trustHTML(value) {
+    return {
+        [SAFE_HTML]: true,
+        value: value,
+        toString: () => value
+    };
+}
+
+/**
+ * Plantilla etiquetada que escapa todas las interpolaciones
+ * Los fragmentos seguros (otro html`` o Markdown) y los arrays de fragmentos se insertan tal cual
+ */
+function html(strings, ...values) {
+    const output = strings.reduce((result, part, index) => {
+        if (index === 0) return part;
+        return result + renderHTMLValue(values[index - 1]) + part;
+    }, '');
+    
+    return trustHTML(output);
+}
+
+/**
+ * Convierte una interpolación en HTML: escapa salvo que ya sea seguro
+ */
+function renderHTMLValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(renderHTMLValue).join('');
+    }
+    
+    if (value && value[SAFE_HTML]) {
+        return value.value;
+    }
+    
+    return escapeHTML(value);
+}
+
+/**
+ * Sustituye el contenido de un elemento
+ * Lo que no venga de html`` o renderMarkdown() se inserta como texto
+ */
+function setHTML(element, content) {
+    if (content && content[SAFE_HTML]) {
+        element.innerHTML = content.value;
+    } else {
+        element.textContent = content === null || content === undefined ? '' : String(content);
+    }
+}
+
+/**
+ * Devuelve la URL si su esquema está permitido, o '#' en caso contrario
+ * Bloquea javascript:, data: y similares en href y src
+ */
+function safeUrl(url) {
+    const value = String(url || '').trim();
+    
+    try {
+        const parsed = new URL(value, window.location.href);
+        return SAFE_URL_SCHEMES.includes(parsed.protocol) ? value : '#';
+    } catch (error) {
+        return '#';
+    }
+}
+
+/**
+ * Convierte un subconjunto de Markdown en HTML seguro
+ * Admite párrafos, listas (- y 1.), **negrita**, *cursiva*, `código` y [enlaces](https://...)
+ * inline: true devuelve solo el formato en línea, sin párrafos (p. ej. para pasos del proceso)
+ */
+function renderMarkdown(text, options = {}) {
+    const source = String(text || '').replace(/\r\n?/g, '\n').trim();
+    if (!source) return trustHTML('');
+    
+    if (options.inline) {
+        return trustHTML(sanitizeHTML(renderMarkdownInline(source)));
+    }
+    
+    const blocks = source.split(/\n{2,}/).map(block => {
+        const lines = block.split('\n');
+        
+        if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+            return '<ul>' + lines.map(line => `<li>${renderMarkdownInline(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('') + '</ul>';
+        }
+        
+        if (lines.every(line => /^\s*\d+\.\s+/.test(line))) {
+            return '<ol>' + lines.map(line => `<li>${renderMarkdownInline(line.replace(/^\s*\d+\.\s+/, ''))}</li>`).join('') + '</ol>';
+        }
+        
+        return `<p>${lines.map(renderMarkdownInline).join('<br>')}</p>`;
+    });
+    
+    return trustHTML(sanitizeHTML(blocks.join('')));
+}
+
+/**
+ * Formato en línea del Markdown
+ * Escapa primero el texto: las expresiones solo trabajan sobre contenido ya inofensivo
+ */
+function renderMarkdownInline(text) {
+    const protectedSpans = [];
+    const protect = markup => {
+        protectedSpans.push(markup);
+        return `\u0000${protectedSpans.length - 1}\u0000`;
+    };
+    
+    return escapeHTML(text)
+        // El código se aparta para que su contenido no reciba más formato
+        .replace(/`([^`]+)`/g, (match, code) => protect(`<code>${code}</code>`))
+        // Las etiquetas <a> también: un * en la URL no debe acabar como <em> dentro del href
+        .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+            const href = safeUrl(url.replace(/&amp;/g, '&'));
+            if (href === '#') return label;
+            
+            const external = /^https?:/i.test(href);
+            return protect(`<a href="${escapeHTML(href)}"${external ? ' target="_blank" rel="noopener noreferrer"' : ''}>`) + label + protect('</a>');
+        })
+        .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => protectedSpans[index]);
+}
+
+/**
+ * Sanea un fragmento HTML contra MARKDOWN_ALLOWLIST
+ * Las etiquetas no permitidas se sustituyen por su texto y los atributos extra se eliminan
+ */
+function sanitizeHTML(markup) {
+    const template = document.createElement('template');
+    template.innerHTML = markup;
+    
+    Array.from(template.content.querySelectorAll('*')).forEach(element => {
+        const tag = element.tagName.toLowerCase();
+        const allowedAttributes = MARKDOWN_ALLOWLIST[tag];
+        
+        if (!allowedAttributes) {
+            element.replaceWith(document.createTextNode(element.textContent));
+            return;
+        }
+        
+        Array.from(element.attributes).forEach(attribute => {
+            if (!allowedAttributes.includes(attribute.name)) {
+                element.removeAttribute(attribute.name);
+            }
+        });
+        
+        if (tag === 'a' && safeUrl(element.getAttribute('href')) === '#') {
+            element.removeAttribute('href');
+        }
+    });
+    
+    return template.innerHTML;
+}
+
+// ========================================
+// IMÁGENES RESPONSIVAS
+// ========================================
+
+// Valores de sizes por contexto; deben seguir el layout de styles.css
+const IMAGE_SIZES = {
+    card: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 380px',
+    caseStudy: '(max-width: 832px) 100vw, 736px',
+    galleryThumb: '(max-width: 480px) 50vw, 240px',
+    lightbox: '100vw'
+};
+
+// Servicios de imágenes que saben devolver cada archivo a otro ancho
+// resize(url, width) genera una variante; placeholder(url) la versión diminuta y borrosa (LQIP)
+const IMAGE_PROVIDERS = {
+    // https://res.cloudinary.com/<cuenta>/image/upload/[transformaciones/]v123/archivo.jpg
+    cloudinary: {
+        test: url => /^https:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\//.test(url),
+        resize: (url, width) => insertCloudinaryTransform(url, `w_${width},c_limit,q_auto,f_auto`),
+        placeholder: url => insertCloudinaryTransform(url, `w_${CONFIG.imagePlaceholderWidth},e_blur:1000,q_1,f_auto`)
+    },
+    
+    // https://picsum.photos/[seed/<semilla>/]<ancho>/<alto>
+    picsum: {
+        test: url => /^https:\/\/picsum\.photos\/(seed\/[^/]+\/)?\d+\/\d+/.test(url),
+        resize: (url, width) => resizePicsumUrl(url, width),
+        placeholder: url => {
+            const resized = resizePicsumUrl(url, CONFIG.imagePlaceholderWidth);
+            return resized + (resized.includes('?') ? '&' : '?') + 'blur=10';
+        }
+    }
+};
+
+/**
+ * Inicializa el tratamiento común de imágenes
+ * Los eventos load y error no burbujean: se capturan una vez para todas, también las generadas después
+ */
+function initializeResponsiveImages() {
+    document.addEventListener('load', (e) => {
+        if (e.target.tagName === 'IMG') clearImagePlaceholder(e.target);
+    }, true);
+    
+    document.addEventListener('error', (e) => {
+        if (e.target.tagName === 'IMG') handleImageError(e.target);
+    }, true);
+    
+    applyImagePlaceholders(document);
+}
+
+/**
+ * Devuelve src, srcset y placeholder de una imagen para un contexto de IMAGE_SIZES
+ * Las URL de servicios desconocidos se usan tal cual, sin srcset
+ */
+function getResponsiveImage(url, context) {
+    const src = safeUrl(url);
+    const provider = getImageProvider(src);
+    
+    if (!provider) {
+        return { src: src, srcset: '', sizes: '', placeholder: '' };
+    }
+    
+    return {
+        src: provider.resize(src, CONFIG.imageDefaultWidth),
+        srcset: CONFIG.imageWidths.map(width => `${provider.resize(src, width)} ${width}w`).join(', '),
+        sizes: IMAGE_SIZES[context] || '100vw',
+        placeholder: provider.placeholder(src)
+    };
+}
+
+/**
+ * Atributos de una etiqueta <img> responsiva, listos para interpolar en html``
+ */
+function responsiveImageAttributes(url, context) {
+    const image = getResponsiveImage(url, context);
+    
+    return image.srcset
+        ? html`src="${image.src}" srcset="${image.srcset}" sizes="${image.sizes}" data-placeholder="${image.placeholder}"`
+        : html`src="${image.src}"`;
+}
+
+/**
+ * Precarga la variante que el navegador elegiría para un contexto
+ */
+function preloadImage(url, context) {
+    const image = getResponsiveImage(url, context);
+    const img = new Image();
+    
+    if (image.srcset) {
+        img.sizes = image.sizes;
+        img.srcset = image.srcset;
+    }
+    img.src = image.src;
+}
+
+function getImageProvider(url) {
+    return Object.values(IMAGE_PROVIDERS).find(provider => provider.test(url)) || null;
+}
+
+/**
+ * Inserta una transformación de Cloudinary justo después de /upload/
+ */
+function insertCloudinaryTransform(url, transform) {
+    return url.replace('/image/upload/', `/image/upload/${transform}/`);
+}
+
+/**
+ * Cambia el ancho de una URL de picsum conservando la proporción original
+ */
+function resizePicsumUrl(url, width) {
+    return url.replace(/\/(\d+)\/(\d+)(?=[?#]|$)/, (match, originalWidth, originalHeight) => {
+        const height = Math.round((width * Number(originalHeight)) / Number(originalWidth));
+        return `/${width}/${height}`;
+    });
+}
+
+/**
+ * Muestra el LQIP borroso de fondo mientras la imagen definitiva se descarga
+ */
+function applyImagePlaceholders(root) {
+    root.querySelectorAll('img[data-placeholder]').forEach(img => {
+        if (img.complete && img.naturalWidth) return;
+        
+        img.classList.add('is-loading');
+        img.style.backgroundImage = `url("${img.dataset.placeholder}")`;
+    });
+}
+
+function clearImagePlaceholder(img) {
+    if (!img.classList.contains('is-loading')) return;
+    
+    img.classList.remove('is-loading');
+    img.style.backgroundImage = '';
+}
+
+/**
+ * Genera localmente un SVG de "imagen no disponible" como data URI
+ * Respeta la proporción del original para no mover el layout
+ * El fondo lo pinta styles.css; un SVG en <img> no hereda variables CSS, así que el texto toma el token del tema actual
+ */
+function createImagePlaceholder(width, height, label) {
+    const color = getComputedStyle(document.documentElement).getPropertyValue('--color-text-light').trim() || 'gray';
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `<text x="50%" y="50%" fill="${escapeHTML(color)}" font-family="sans-serif" font-size="${Math.max(12, Math.round(width / 24))}" text-anchor="middle" dominant-baseline="middle">${escapeHTML(label)}</text>`
+        + '</svg>';
+    
+    return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg);
+}
+
+// ========================================
+// DATOS DE CASE STUDIES
+// ========================================
+
+// Cache de la fuente de datos: se descarga una sola vez por sesión
+const caseStudyStore = {
+    projects: [],
+    byId: {},
+    request: null
+};
+
+// Esquema mínimo que debe cumplir cada entrada de case-studies.json
+const CASE_STUDY_SCHEMA = {
+    strings: ['id', 'title', 'summary', 'client', 'duration', 'role', 'objective', 'problem', 'solution'],
+    lists: ['tags', 'process', 'results'],
+    // Tipos de elemento admitidos en "media" (galería del case study)
+    mediaTypes: ['image', 'video'],
+    // Campos que admiten traducción en "i18n": { "<idioma>": { ... } }
+    translatable: ['title', 'summary', 'thumbnail', 'client', 'duration', 'role', 'objective', 'problem', 'process', 'solution', 'results', 'media']
+};
+
+/**
+ * Inicializa la capa de datos de proyectos
+ * Descarga case-studies.json y genera las tarjetas del grid
+ */
+function initializeCaseStudies() {
+    if (!DOM.projectsGrid) return;
+    
+    loadCaseStudies()
+        .then(projects => {
+            renderProjectCards(projects);
+            buildSearchIndex(projects);
+            initializeProjectFilters(projects);
+            console.log('🗂️ Case studies cargados:', projects.length);
+        })
+        .catch(error => {
+            console.error('❌ Error cargando case studies:', error);
+            setHTML(DOM.projectsGrid, html`
+                <p class="projects-empty">${t('projects.loadError')}</p>
+            `);
+        })
+        .finally(() => {
+            DOM.projectsGrid.removeAttribute('aria-busy');
+        });
+}
+
+/**
+ * Descarga y valida los case studies
+ * Devuelve siempre la misma promesa para reutilizar la cache
+ */
+function loadCaseStudies() {
+    if (caseStudyStore.request) return caseStudyStore.request;
+    
+    caseStudyStore.request = fetch(CONFIG.caseStudiesUrl, {
+        headers: {
+            'Accept': 'application/json'
+        }
+    })
+    .then(response => {
+        if (!response.ok) {
+            throw new Error('Error del servidor: ' + response.status);
+        }
+        return response.json();
+    })
+    .then(data => {
+        const entries = data && Array.isArray(data.projects) ? data.projects : null;
+        if (!entries) {
+            throw new Error(CONFIG.caseStudiesUrl + ' debe contener un array "projects"');
+        }
+        
+        caseStudyStore.projects = [];
+        caseStudyStore.byId = {};
+        
+        entries.forEach((entry, index) => {
+            const errors = validateCaseStudy(entry);
+            
+            if (!errors.length && caseStudyStore.byId[entry.id]) {
+                errors.push('id duplicado');
+            }
+            
+            if (errors.length) {
+                const label = entry && entry.id ? `"${entry.id}"` : `#${index}`;
+                console.error(`❌ Case study ${label} omitido:`, errors.join('; '));
+                return;
+            }
+            
+            caseStudyStore.projects.push(entry);
+            caseStudyStore.byId[entry.id] = entry;
+        });
+        
+        return caseStudyStore.projects;
+    })
+    .catch(error => {
+        // Permitir reintentar en la siguiente llamada
+        caseStudyStore.request = null;
+        throw error;
+    });
+    
+    return caseStudyStore.request;
+}
+
+/**
+ * Valida una entrada de case study contra el esquema
+ * Devuelve la lista de problemas encontrados (vacía si es válida)
+ */
+function validateCaseStudy(entry) {
+    const errors = [];
+    
+    if (!entry || typeof entry !== 'object') {
+        return ['la entrada no es un objeto'];
+    }
+    
+    CASE_STUDY_SCHEMA.strings.forEach(key => {
+        if (typeof entry[key] !== 'string' || !entry[key].trim()) {
+            errors.push(`"${key}" debe ser un texto no vacío`);
+        }
+    });
+    
+    CASE_STUDY_SCHEMA.lists.forEach(key => {
+        const list = entry[key];
+        if (!Array.isArray(list) || !list.length || list.some(item => typeof item !== 'string')) {
+            errors.push(`"${key}" debe ser una lista de textos`);
+        }
+    });
+    
+    if (entry.i18n !== undefined) {
+        validateCaseStudyTranslations(entry.i18n).forEach(error => errors.push(error));
+    }
+    
+    const thumbnail = entry.thumbnail;
+    if (!thumbnail || typeof thumbnail.src !== 'string' || typeof thumbnail.alt !== 'string') {
+        errors.push('"thumbnail" requiere "src" y "alt"');
+    } else if (!Number.isInteger(thumbnail.width) || !Number.isInteger(thumbnail.height)) {
+        errors.push('"thumbnail" requiere "width" y "height" enteros');
+    }
+    
+    if (!Array.isArray(entry.media) || !entry.media.length) {
+        errors.push('"media" debe ser una lista con al menos una imagen');
+    } else {
+        entry.media.forEach((item, index) => {
+            validateCaseStudyMedia(item).forEach(error => errors.push(`"media[${index}]" ${error}`));
+        });
+    }
+    
+    return errors;
+}
+
+/**
+ * Valida un elemento de la galería
+ * El texto alternativo es obligatorio: sin él la galería no es accesible
+ */
+function validateCaseStudyMedia(item) {
+    const errors = [];
+    
+    if (!item || typeof item !== 'object') {
+        return ['no es un objeto'];
+    }
+    
+    const type = item.type || 'image';
+    if (CASE_STUDY_SCHEMA.mediaTypes.indexOf(type) === -1) {
+        errors.push(`tiene un "type" desconocido: ${type}`);
+    }
+    
+    if (typeof item.src !== 'string' || !item.src.trim()) {
+        errors.push('requiere "src"');
+    }
+    
+    if (typeof item.alt !== 'string' || !item.alt.trim()) {
+        errors.push('requiere "alt" (texto alternativo)');
+    }
+    
+    if (type === 'video' && (typeof item.poster !== 'string' || !item.poster.trim())) {
+        errors.push('es un vídeo y requiere "poster"');
+    }
+    
+    if (item.caption !== undefined && typeof item.caption !== 'string') {
+        errors.push('tiene un "caption" que no es texto');
+    }
+    
+    return errors;
+}
+
+/**
+ * Valida las traducciones opcionales de un case study
+ * Cada idioma solo puede sobrescribir campos traducibles con el mismo tipo
+ */
+function validateCaseStudyTranslations(translations) {
+    const errors = [];
+    
+    if (!translations || typeof translations !== 'object') {
+        return ['"i18n" debe ser un objeto por idioma'];
+    }
+    
+    Object.keys(translations).forEach(locale => {
+        const translation = translations[locale];
+        
+        if (!translation || typeof translation !== 'object') {
+            errors.push(`"i18n.${locale}" debe ser un objeto`);
+            return;
+        }
+        
+        Object.keys(translation).forEach(key => {
+            const value = translation[key];
+            
+            if (CASE_STUDY_SCHEMA.translatable.indexOf(key) === -1) {
+                errors.push(`"i18n.${locale}.${key}" no es un campo traducible`);
+            } else if (CASE_STUDY_SCHEMA.lists.indexOf(key) !== -1) {
+                if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                    errors.push(`"i18n.${locale}.${key}" debe ser una lista de textos`);
+                }
+            } else if (key === 'thumbnail') {
+                if (!value || typeof value.alt !== 'string') {
+                    errors.push(`"i18n.${locale}.thumbnail" solo admite "alt"`);
+                }
+            } else if (key === 'media') {
+                // Se traduce por posición: cada entrada sobrescribe "alt" y "caption" del mismo índice
+                const valid = Array.isArray(value) && value.every(item => item && typeof item === 'object'
+                    && Object.keys(item).every(field => (field === 'alt' || field === 'caption') && typeof item[field] === 'string'));
+                if (!valid) {
+                    errors.push(`"i18n.${locale}.media" debe ser una lista de { "alt", "caption" }`);
+                }
+            } else if (typeof value !== 'string' || !value.trim()) {
+                errors.push(`"i18n.${locale}.${key}" debe ser un texto no vacío`);
+            }
+        });
+    });
+    
+    return errors;
+}
+
+/**
+ * Obtiene un case study ya cargado por su id
+ * Devuelve null si no existe o aún no se ha descargado
+ */
+function getCaseStudy(projectId) {
+    return caseStudyStore.byId[projectId] || null;
+}
+
+/**
+ * Genera las tarjetas del grid de proyectos
+ * Mismo origen de datos que el modal de case study
+ */
+function renderProjectCards(projects) {
+    setHTML(DOM.projectsGrid, html`${projects.map(localizeCaseStudy).map(project => html`
+        <div class="project-card" data-project="${project.id}" tabindex="0" role="button" aria-haspopup="dialog" aria-label="${t('projects.cardLabel', { title: project.title })}">
+            <div class="project-image">
+                <img ${responsiveImageAttributes(project.thumbnail.src, 'card')}
+                     alt="${project.thumbnail.alt}" 
+                     loading="lazy"
+                     width="${project.thumbnail.width}" 
+                     height="${project.thumbnail.height}">
+                <div class="project-overlay">
+                    <span class="project-cta">${t('projects.cta')}</span>
+                </div>
+            </div>
+            <div class="project-content">
+                <h3 class="project-title">${project.title}</h3>
+                <p class="project-description">${project.summary}</p>
+                <div class="project-tags">
+                    ${project.tags.map(tag => html`<span class="tag">${tag}</span>`)}
+                </div>
+            </div>
+        </div>
+    `)}`);
+    
+    DOM.projectCards = DOM.projectsGrid.querySelectorAll('.project-card');
+    applyImagePlaceholders(DOM.projectsGrid);
+    
+    observeAnimatedElements(DOM.projectCards);
+}
+
+// ========================================
+// FILTROS Y ORDEN DE PROYECTOS
+// ========================================
+
+// Criterios de orden disponibles en el selector del grid
+const PROJECT_SORTERS = {
+    default: null, // Orden de case-studies.json
+    title: (a, b) => a.title.localeCompare(b.title, state.locale),
+    duration: (a, b) => (parseInt(a.duration, 10) || 0) - (parseInt(b.duration, 10) || 0)
+};
+
+/**
+ * Inicializa la barra de filtros a partir de las etiquetas del grid
+ * Restaura los filtros compartidos en la URL (?tag=...&sort=...)
+ */
+function initializeProjectFilters(projects) {
+    if (!DOM.projectsToolbar || !projects.length) return;
+    
+    renderFilterBar(projects);
+    
+    // Filtros compartidos por URL: se ignoran etiquetas que ya no existen
+    const params = new URLSearchParams(window.location.search);
+    const knownTags = getProjectTagCounts(projects);
+    state.filters.tags = params.getAll(CONFIG.filterTagParam).filter(tag => knownTags[tag]);
+    state.filters.sort = PROJECT_SORTERS.hasOwnProperty(params.get(CONFIG.sortParam))
+        ? params.get(CONFIG.sortParam)
+        : 'default';
+    state.filters.query = params.get(CONFIG.searchParam) || '';
+    DOM.projectsSearch.value = state.filters.query;
+    
+    DOM.projectsSearch.addEventListener('input', debounce(() => {
+        state.filters.query = DOM.projectsSearch.value.trim();
+        applyProjectFilters();
+    }, CONFIG.debounceDelay));
+    
+    DOM.filterBar.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (chip) toggleTagFilter(chip.dataset.tag);
+    });
+    
+    DOM.projectsSort.addEventListener('change', () => {
+        state.filters.sort = DOM.projectsSort.value;
+        applyProjectFilters();
+    });
+    
+    DOM.filtersClear.addEventListener('click', clearProjectFilters);
+    
+    DOM.projectsToolbar.hidden = false;
+    applyProjectFilters({ animate: false });
+    
+    console.log('🏷️ Filtros de proyectos inicializados');
+}
+
+/**
+ * Cuenta cuántos proyectos usan cada etiqueta
+ * Conserva el orden de primera aparición en los datos
+ */
+function getProjectTagCounts(projects) {
+    const counts = {};
+    
+    projects.forEach(project => {
+        project.tags.forEach(tag => {
+            counts[tag] = (counts[tag] || 0) + 1;
+        });
+    });
+    
+    return counts;
+}
+
+/**
+ * Genera un botón por etiqueta presente en el grid
+ * aria-pressed refleja si el filtro está activo
+ */
+function renderFilterBar(projects) {
+    const counts = getProjectTagCounts(projects);
+    
+    setHTML(DOM.filterBar, html`${Object.keys(counts).map(tag => html`
+        <button type="button" class="filter-chip" data-tag="${tag}" aria-pressed="false">
+            ${tag} <span class="filter-chip-count">${counts[tag]}</span>
+        </button>
+    `)}`);
+}
+
+/**
+ * Activa o desactiva una etiqueta del filtro
+ * Selección múltiple: se muestran proyectos con cualquiera de las etiquetas
+ */
+function toggleTagFilter(tag) {
+    const tags = state.filters.tags;
+    const index = tags.indexOf(tag);
+    
+    if (index === -1) {
+        tags.push(tag);
+    } else {
+        tags.splice(index, 1);
+    }
+    
+    applyProjectFilters();
+}
+
+/**
+ * Elimina todos los filtros y vuelve al orden original
+ * Devuelve el foco a la barra para no perderlo al ocultarse el botón
+ */
+function clearProjectFilters() {
+    state.filters.tags = [];
+    state.filters.sort = 'default';
+    state.filters.query = '';
+    DOM.projectsSearch.value = '';
+    applyProjectFilters();
+    
+    const firstChip = DOM.filterBar.querySelector('.filter-chip');
+    if (firstChip) firstChip.focus();
+}
+
+/**
+ * Indica si un proyecto cumple los filtros activos
+ * Sin etiquetas ni búsqueda todos los proyectos son visibles
+ */
+function matchesProjectFilters(project, scores) {
+    const tags = state.filters.tags;
+    const matchesTags = !tags.length || project.tags.some(tag => tags.indexOf(tag) !== -1);
+    const matchesSearch = !scores || scores[project.id] > 0;
+    
+    return matchesTags && matchesSearch;
+}
+
+/**
+ * Aplica filtros y orden al grid con re-layout animado
+ * Técnica FLIP: se mide antes y después y se anima la diferencia
+ */
+function applyProjectFilters(options = {}) {
+    const animate = options.animate !== false && !state.reducedMotion;
+    const cards = Array.from(DOM.projectCards);
+    const cardsById = {};
+    const before = new Map();
+    
+    cards.forEach(card => {
+        cardsById[card.dataset.project] = card;
+        if (animate && !card.hidden) {
+            before.set(card, card.getBoundingClientRect());
+        }
+    });
+    
+    // Búsqueda: puntuación por proyecto (null si no hay términos)
+    const terms = getSearchTerms(state.filters.query);
+    const scores = terms.length ? scoreProjects(caseStudyStore.projects, terms) : null;
+    
+    // Orden: reinsertar las tarjetas en el DOM para que la navegación del modal lo respete
+    // Con búsqueda activa y orden por defecto se ordena por relevancia
+    const sorter = PROJECT_SORTERS[state.filters.sort];
+    const projects = caseStudyStore.projects.map(localizeCaseStudy);
+    if (sorter) {
+        projects.sort(sorter);
+    } else if (scores) {
+        projects.sort((a, b) => scores[b.id] - scores[a.id]);
+    }
+    
+    let visibleCount = 0;
+    projects.forEach(project => {
+        const card = cardsById[project.id];
+        if (!card) return;
+        
+        DOM.projectsGrid.appendChild(card);
+        card.hidden = !matchesProjectFilters(project, scores);
+        if (!card.hidden) visibleCount++;
+        
+        highlightSearchTerms(card.querySelector('.project-content'), terms);
+    });
+    
+    // Las tarjetas que reaparecen vuelven a ejecutar fadeInUp; las que se mueven se deslizan
+    if (animate) {
+        before.forEach((first, card) => {
+            if (card.hidden || typeof card.animate !== 'function') return;
+            
+            const last = card.getBoundingClientRect();
+            const deltaX = first.left - last.left;
+            const deltaY = first.top - last.top;
+            if (!deltaX && !deltaY) return;
+            
+            card.animate([
+                { transform: `translate(${deltaX}px, ${deltaY}px)` },
+                { transform: 'none' }
+            ], {
+                duration: CONFIG.animationDuration,
+                easing: 'ease-out'
+            });
+        });
+    }
+    
+    updateFilterControls(visibleCount, projects.length);
+    updateFilterUrl();
+}
+
+/**
+ * Sincroniza botones, selector y contador con el estado de filtros
+ * El contador se anuncia a lectores de pantalla (aria-live)
+ */
+function updateFilterControls(visibleCount, totalCount) {
+    const tags = state.filters.tags;
+    
+    DOM.filterBar.querySelectorAll('.filter-chip').forEach(chip => {
+        const isActive = tags.indexOf(chip.dataset.tag) !== -1;
+        chip.classList.toggle('active', isActive);
+        chip.setAttribute('aria-pressed', String(isActive));
+    });
+    
+    DOM.projectsSort.value = state.filters.sort;
+    DOM.filtersClear.hidden = !tags.length && state.filters.sort === 'default' && !state.filters.query;
+    
+    if (!visibleCount) {
+        DOM.filtersCount.textContent = t('projects.countNone');
+    } else if (state.filters.query) {
+        DOM.filtersCount.textContent = visibleCount === 1
+            ? t('projects.resultsOne', { query: state.filters.query })
+            : t('projects.resultsMany', { count: visibleCount, query: state.filters.query });
+    } else if (visibleCount === totalCount) {
+        DOM.filtersCount.textContent = t('projects.countAll', { total: totalCount });
+    } else {
+        DOM.filtersCount.textContent = t('projects.countSome', { visible: visibleCount, total: totalCount });
+    }
+}
+
+/**
+ * Refleja los filtros activos en la URL sin crear entradas de historial
+ * Permite compartir vistas filtradas con prospectos
+ */
+function updateFilterUrl() {
+    if (!window.history || !history.replaceState) return;
+    
+    const url = new URL(window.location.href);
+    url.searchParams.delete(CONFIG.filterTagParam);
+    url.searchParams.delete(CONFIG.sortParam);
+    url.searchParams.delete(CONFIG.searchParam);
+    
+    state.filters.tags.forEach(tag => url.searchParams.append(CONFIG.filterTagParam, tag));
+    if (state.filters.sort !== 'default') {
+        url.searchParams.set(CONFIG.sortParam, state.filters.sort);
+    }
+    if (state.filters.query) {
+        url.searchParams.set(CONFIG.searchParam, state.filters.query);
+    }
+    
+    history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+}
+
+// ========================================
+// BÚSQUEDA DE TEXTO EN CASE STUDIES
+// ========================================
+
+// Campos indexados y su peso: un acierto en el título cuenta más que en el proceso
+const SEARCH_FIELDS = [
+    { key: 'title', weight: 10 },
+    { key: 'tags', weight: 6 },
+    { key: 'client', weight: 5 },
+    { key: 'summary', weight: 4 },
+    { key: 'objective', weight: 3 },
+    { key: 'problem', weight: 2 },
+    { key: 'process', weight: 2 },
+    { key: 'solution', weight: 2 },
+    { key: 'results', weight: 2 },
+    { key: 'role', weight: 1 }
+];
+
+// Índice local: id de proyecto -> campos normalizados (sin servicio externo)
+const searchIndex = {};
+
+/**
+ * Construye el índice de búsqueda a partir de los case studies
+ * Se ejecuta tras descargar los datos y en cada cambio de idioma
+ */
+function buildSearchIndex(projects) {
+    projects.map(localizeCaseStudy).forEach(project => {
+        searchIndex[project.id] = SEARCH_FIELDS.map(field => {
+            const value = project[field.key];
+            const text = Array.isArray(value) ? value.join('\n') : value;
+            
+            return {
+                weight: field.weight,
+                text: normalizeSearchText(text)
+            };
+        });
+    });
+}
+
+/**
+ * Normaliza texto para comparar sin tildes ni mayúsculas
+ * "Diseño" y "diseno" se consideran iguales
+ */
+function normalizeSearchText(text) {
+    return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Divide la consulta en términos normalizados
+ * Se descartan términos de un solo carácter
+ */
+function getSearchTerms(query) {
+    return normalizeSearchText(query || '')
+        .split(/\s+/)
+        .filter(term => term.length > 1);
+}
+
+/**
+ * Puntúa cada proyecto para los términos buscados
+ * Todos los términos deben aparecer; el inicio de palabra puntúa doble
+ */
+function scoreProjects(projects, terms) {
+    const scores = {};
+    const matchers = terms.map(term => ({
+        term: term,
+        wordStart: new RegExp('(^|[^a-z0-9])' + term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    }));
+    
+    projects.forEach(project => {
+        const fields = searchIndex[project.id] || [];
+        let score = 0;
+        
+        const allTermsFound = matchers.every(matcher => {
+            let termScore = 0;
+            
+            fields.forEach(field => {
+                if (field.text.indexOf(matcher.term) === -1) return;
+                termScore += field.weight * (matcher.wordStart.test(field.text) ? 2 : 1);
+            });
+            
+            score += termScore;
+            return termScore > 0;
+        });
+        
+        scores[project.id] = allTermsFound ? score : 0;
+    });
+    
+    return scores;
+}
+
+/**
+ * Resalta los términos buscados dentro de un elemento
+ * Recorre solo nodos de texto: nunca reinterpreta HTML
+ */
+function highlightSearchTerms(root, terms) {
+    if (!root) return;
+    
+    clearSearchHighlights(root);
+    if (!terms.length) return;
+    
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) {
+        textNodes.push(walker.currentNode);
+    }
+    
+    textNodes.forEach(node => {
+        const text = node.nodeValue;
+        const ranges = findSearchRanges(text, terms);
+        if (!ranges.length) return;
+        
+        const fragment = document.createDocumentFragment();
+        let cursor = 0;
+        
+        ranges.forEach(([start, end]) => {
+            fragment.appendChild(document.createTextNode(text.slice(cursor, start)));
+            
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.slice(start, end);
+            fragment.appendChild(mark);
+            
+            cursor = end;
+        });
+        
+        fragment.appendChild(document.createTextNode(text.slice(cursor)));
+        node.parentNode.replaceChild(fragment, node);
+    });
+}
+
+/**
+ * Elimina los resaltados previos de un elemento
+ * Une de nuevo los nodos de texto fragmentados
+ */
+function clearSearchHighlights(root) {
+    const marks = root.querySelectorAll('mark.search-highlight');
+    if (!marks.length) return;
+    
+    marks.forEach(mark => {
+        mark.parentNode.replaceChild(document.createTextNode(mark.textContent), mark);
+    });
+    root.normalize();
+}
+
+/**
+ * Localiza los términos en el texto original
+ * Mapea posiciones normalizadas a originales para respetar las tildes
+ */
+function findSearchRanges(text, terms) {
+    let normalized = '';
+    const positions = [];
+    
+    for (let i = 0; i < text.length; i++) {
+        const chars = normalizeSearchText(text[i]);
+        for (let j = 0; j < chars.length; j++) {
+            normalized += chars[j];
+            positions.push(i);
+        }
+    }
+    
+    const ranges = [];
+    terms.forEach(term => {
+        let index = normalized.indexOf(term);
+        while (index !== -1) {
+            ranges.push([positions[index], positions[index + term.length - 1] + 1]);
+            index = normalized.indexOf(term, index + term.length);
+        }
+    });
+    
+    // Ordenar y fusionar coincidencias solapadas
+    ranges.sort((a, b) => a[0] - b[0]);
+    return ranges.reduce((merged, range) => {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range);
+        }
+        return merged;
+    }, []);
+}
+
+// ========================================
+// SISTEMA DE MODALES PARA CASE STUDIES
+// ========================================
+
+/**
+ * Inicializa el sistema de modales para case studies
+ * Incluye apertura, cierre y navegación entre proyectos
+ */
+function initializeModals() {
+    if (!DOM.modal) return;
+    
+    // Event listeners para abrir modales (delegado: las tarjetas se generan desde datos)
+    if (DOM.projectsGrid) {
+        DOM.projectsGrid.addEventListener('click', (e) => {
+            const card = e.target.closest('.project-card');
+            if (card) openCaseStudy(card.dataset.project);
+        });
+        
+        // Las tarjetas actúan como botones: Enter y Espacio también abren el case study
+        DOM.projectsGrid.addEventListener('keydown', (e) => {
+            const card = e.target.closest('.project-card');
+            if (!card || e.target !== card) return;
+            
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                openCaseStudy(card.dataset.project);
+            }
+        });
+    }
+    
+    // Event listeners para cerrar modales
+    if (DOM.modalClose) {
+        DOM.modalClose.addEventListener('click', () => closeModal());
+    }
+    
+    if (DOM.modalOverlay) {
+        DOM.modalOverlay.addEventListener('click', () => closeModal());
+    }
+    
+    // Navegación entre proyectos
+    if (DOM.modalPrev) {
+        DOM.modalPrev.addEventListener('click', () => navigateCaseStudy(-1));
+    }
+    
+    if (DOM.modalNext) {
+        DOM.modalNext.addEventListener('click', () => navigateCaseStudy(1));
+    }
+    
+    initializeModalSwipe();
+    
+    // Cerrar modal con Escape y navegar con las flechas
+    document.addEventListener('keydown', (e) => {
+        if (!state.isModalOpen) return;
+        
+        // Con el lightbox abierto, Escape y las flechas actúan sobre la galería
+        if (lightbox.isOpen) {
+            handleLightboxKeydown(e);
+            return;
+        }
+        
+        if (e.key === 'Escape') {
+            closeModal();
+        } else if (e.key === 'Tab') {
+            trapModalFocus(e);
+        } else if (e.key === 'ArrowLeft') {
+            navigateCaseStudy(-1);
+        } else if (e.key === 'ArrowRight') {
+            navigateCaseStudy(1);
+        }
+    });
+    
+    console.log('🎭 Sistema de modales inicializado');
+}
+
+/**
+ * Abre el modal de case study
+ * Carga contenido dinámico basado en el proyecto
+ * options.fromHistory: la apertura viene del router, no se crea entrada de historial
+ */
+function openCaseStudy(projectId, options = {}) {
+    const wasOpen = state.isModalOpen;
+    
+    const source = options.fromHistory ? 'history' : wasOpen ? 'navigation' : 'card';
+    
+    if (wasOpen) {
+        closeLightbox({ restoreFocus: false });
+        trackCaseStudyClose(state.currentProject, 'navigation');
+        emit('modal:close', { project: state.currentProject, reason: 'navigation' });
+    }
+    
+    state.isModalOpen = true;
+    state.currentProject = projectId;
+    trackCaseStudyOpen(projectId, source);
+    emit('modal:open', { project: projectId, source: source });
+    
+    // Reflejar el proyecto en la URL para poder compartirlo
+    if (!options.fromHistory) {
+        updateCaseStudyHistory(projectId, wasOpen ? 'replace' : 'push');
+    }
+    
+    // Recordar el elemento que abrió el modal para devolverle el foco al cerrar
+    if (!wasOpen) {
+        state.modalTrigger = document.activeElement;
+    }
+    
+    // Mostrar modal y dejar inerte el resto de la página
+    DOM.modal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    setPageInert(true);
+    
+    // Cargar contenido del case study
+    loadCaseStudyContent(projectId);
+    updateModalNavigation(projectId);
+    
+    // Focus en el modal para accesibilidad (al navegar se conserva el foco actual)
+    if (!wasOpen) {
+        DOM.modalClose.focus();
+    }
+}
+
+/**
+ * Cierra el modal de case study
+ * Restaura el estado y limpia el contenido
+ * options.fromHistory: el cierre viene del botón Atrás, la URL ya está actualizada
+ */
+function closeModal(options = {}) {
+    if (!state.isModalOpen) return;
+    
+    const closedProject = state.currentProject;
+    const reason = options.fromHistory ? 'history' : 'close';
+    closeLightbox({ restoreFocus: false });
+    trackCaseStudyClose(closedProject, reason);
+    emit('modal:close', { project: closedProject, reason: reason });
+    
+    state.isModalOpen = false;
+    state.currentProject = null;
+    
+    // Retirar el proyecto de la URL
+    if (!options.fromHistory) {
+        if (history.state && history.state.caseStudy) {
+            // Deshacer la entrada creada al abrir: Atrás y cerrar quedan equivalentes
+            history.back();
+        } else {
+            updateCaseStudyHistory(null, 'replace');
+        }
+    }
+    
+    // Ocultar modal
+    DOM.modal.classList.remove('active');
+    document.body.style.overflow = '';
+    setPageInert(false);
+    
+    // Limpiar contenido
+    DOM.modalContent.innerHTML = '';
+    DOM.modalAnnouncer.textContent = '';
+    
+    // Devolver el foco a la tarjeta que abrió el modal
+    restoreModalFocus(closedProject);
+}
+
+/**
+ * Carga el contenido del case study
+ * Lee el proyecto desde la capa de datos compartida con el grid
+ */
+function loadCaseStudyContent(projectId) {
+    return loadCaseStudies()
+        .then(() => {
+            // El usuario pudo cerrar o cambiar de proyecto mientras se descargaban los datos
+            if (state.currentProject !== projectId) return;
+            
+            const project = getCaseStudy(projectId);
+            if (!project) {
+                console.warn('⚠️ Case study no encontrado:', projectId);
+                return;
+            }
+            
+            const localized = localizeCaseStudy(project);
+            renderCaseStudy(localized);
+            highlightSearchTerms(DOM.modalContent, getSearchTerms(state.filters.query));
+            announceCaseStudy(localized);
+        })
+        .catch(error => {
+            console.error('❌ Error cargando case study:', error);
+            setHTML(DOM.modalContent, html`
+                <p class="case-study-error">${t('modal.loadError')}</p>
+            `);
+        });
+}
+
+/**
+ * Renderiza el case study dentro del modal
+ * Estructura: header con meta, problema, proceso, solución y resultados
+ * Problema, proceso y solución admiten Markdown seguro; el resto se escapa
+ */
+function renderCaseStudy(project) {
+    const cover = project.media[0];
+    
+    // Generar HTML del case study
+    const caseStudyHTML = html`
+        <div class="case-study-header">
+            <button type="button" class="case-study-cover" data-gallery-index="0" aria-haspopup="dialog">
+                <img ${responsiveImageAttributes(getMediaPreview(cover), 'caseStudy')} alt="${cover.alt}" class="case-study-image">
+            </button>
+            <div class="case-study-meta">
+                <h1 id="case-study-title">${project.title}</h1>
+                <div class="case-study-info">
+                    <div class="info-item">
+                        <strong>${t('modal.client')}</strong> ${project.client}
+                    </div>
+                    <div class="info-item">
+                        <strong>${t('modal.duration')}</strong> ${project.duration}
+                    </div>
+                    <div class="info-item">
+                        <strong>${t('modal.role')}</strong> ${project.role}
+                    </div>
+                </div>
+            </div>
+        </div>
+        
+        <div class="case-study-body">
+            <section class="case-study-section">
+                <h2>${t('modal.objective')}</h2>
+                <p>${project.objective}</p>
+            </section>
+            
+            <section class="case-study-section">
+                <h2>${t('modal.problem')}</h2>
+                <div class="case-study-text">${renderMarkdown(project.problem)}</div>
+            </section>
+            
+            <section class="case-study-section">
+                <h2>${t('modal.process')}</h2>
+                <ul class="process-list">
+                    ${project.process.map(step => html`<li>${renderMarkdown(step, { inline: true })}</li>`)}
+                </ul>
+            </section>
+            
+            <section class="case-study-section">
+                <h2>${t('modal.solution')}</h2>
+                <div class="case-study-text">${renderMarkdown(project.solution)}</div>
+            </section>
+            
+            ${project.media.length > 1 ? html`
+                <section class="case-study-section">
+                    <h2>${t('modal.gallery')}</h2>
+                    <ul class="gallery-grid">
+                        ${project.media.map((item, index) => html`
+                            <li>
+                                <figure class="gallery-item">
+                                    <button type="button" class="gallery-thumb${item.type === 'video' ? ' is-video' : ''}" data-gallery-index="${index}" aria-haspopup="dialog">
+                                        <img ${responsiveImageAttributes(getMediaPreview(item), 'galleryThumb')} alt="${item.alt}" loading="lazy" decoding="async"${item.width ? html` width="${item.width}" height="${item.height}"` : ''}>
+                                    </button>
+                                    ${item.caption ? html`<figcaption>${item.caption}</figcaption>` : ''}
+                                </figure>
+                            </li>
+                        `)}
+                    </ul>
+                </section>
+            ` : ''}
+            
+            <section class="case-study-section">
+                <h2>${t('modal.results')}</h2>
+                <div class="results-grid">
+                    ${project.results.map(result => html`<div class="result-item">${result}</div>`)}
+                </div>
+            </section>
+            
+            ${CONFIG.chatbaseId ? html`
+                <div class="case-study-actions">
+                    <button type="button" class="btn btn-secondary" data-chat-action="project">💬 ${t('chat.askProject')}</button>
+                </div>
+            ` : ''}
+        </div>
+    `;
+    
+    setHTML(DOM.modalContent, caseStudyHTML);
+    applyImagePlaceholders(DOM.modalContent);
+}
+
+// ========================================
+// GALERÍA Y LIGHTBOX
+// ========================================
+
+// Estado interno del lightbox: elementos del proyecto abierto, posición y zoom
+const lightbox = {
+    isOpen: false,
+    items: [],
+    index: 0,
+    zoom: 1,
+    panX: 0,
+    panY: 0,
+    drag: null,
+    trigger: null
+};
+
+/**
+ * Inicializa la galería del case study y su lightbox
+ * Las miniaturas se generan con cada case study: los clics se atienden por delegación
+ */
+function initializeLightbox() {
+    if (!DOM.lightbox || !DOM.modalContent) return;
+    
+    DOM.modalContent.addEventListener('click', (e) => {
+        const trigger = e.target.closest('[data-gallery-index]');
+        if (trigger) openLightbox(Number(trigger.dataset.galleryIndex), trigger);
+    });
+    
+    DOM.lightboxClose.addEventListener('click', () => closeLightbox());
+    DOM.lightboxPrev.addEventListener('click', () => stepLightbox(-1));
+    DOM.lightboxNext.addEventListener('click', () => stepLightbox(1));
+    DOM.lightboxZoom.addEventListener('click', toggleLightboxZoom);
+    
+    // Clic en el fondo (fuera de la imagen y los controles) cierra
+    DOM.lightbox.addEventListener('click', (e) => {
+        if (e.target === DOM.lightbox || e.target === DOM.lightboxStage) closeLightbox();
+    });
+    
+    DOM.lightboxStage.addEventListener('dblclick', toggleLightboxZoom);
+    DOM.lightboxStage.addEventListener('wheel', (e) => {
+        if (!isLightboxImage()) return;
+        e.preventDefault();
+        setLightboxZoom(lightbox.zoom + (e.deltaY < 0 ? 0.25 : -0.25));
+    }, { passive: false });
+    
+    initializeLightboxPan();
+    initializeLightboxSwipe();
+    
+    console.log('🖼️ Galería de case studies inicializada');
+}
+
+/**
+ * Abre el lightbox en un elemento de la galería del proyecto actual
+ * trigger recibe el foco al cerrar
+ */
+function openLightbox(index, trigger) {
+    const project = getCaseStudy(state.currentProject);
+    if (!project) return;
+    
+    lightbox.items = localizeCaseStudy(project).media;
+    lightbox.trigger = trigger || document.activeElement;
+    lightbox.isOpen = true;
+    
+    DOM.lightbox.hidden = false;
+    DOM.modalDialog.setAttribute('inert', '');
+    showLightboxItem(index);
+    DOM.lightboxClose.focus();
+    
+    trackEvent('gallery_open', { project: state.currentProject, index: index });
+}
+
+/**
+ * Cierra el lightbox y devuelve el foco a la miniatura
+ * options.restoreFocus: false al cerrar junto con el modal
+ */
+function closeLightbox(options = {}) {
+    if (!lightbox.isOpen) return;
+    
+    lightbox.isOpen = false;
+    DOM.lightbox.hidden = true;
+    DOM.modalDialog.removeAttribute('inert');
+    
+    // Vaciar el escenario también detiene un vídeo en reproducción
+    DOM.lightboxStage.textContent = '';
+    
+    if (options.restoreFocus !== false && lightbox.trigger && document.body.contains(lightbox.trigger)) {
+        lightbox.trigger.focus();
+    }
+    lightbox.trigger = null;
+}
+
+/**
+ * Muestra un elemento del lightbox (imagen o vídeo) con su pie y contador
+ * Los índices fuera de rango dan la vuelta
+ */
+function showLightboxItem(index) {
+    const total = lightbox.items.length;
+    lightbox.index = (index + total) % total;
+    
+    const item = lightbox.items[lightbox.index];
+    
+    setHTML(DOM.lightboxStage, item.type === 'video'
+        ? html`<video class="lightbox-media" src="${safeUrl(item.src)}" poster="${safeUrl(item.poster)}" aria-label="${item.alt}" controls playsinline preload="metadata"></video>`
+        : html`<img class="lightbox-media" ${responsiveImageAttributes(item.src, 'lightbox')} alt="${item.alt}" draggable="false">`);
+    applyImagePlaceholders(DOM.lightboxStage);
+    
+    DOM.lightboxCaption.textContent = item.caption || '';
+    DOM.lightboxCaption.hidden = !item.caption;
+    DOM.lightboxCounter.textContent = t('gallery.counter', { current: lightbox.index + 1, total: total });
+    DOM.lightboxPrev.hidden = total < 2;
+    DOM.lightboxNext.hidden = total < 2;
+    DOM.lightboxZoom.hidden = item.type === 'video';
+    
+    setLightboxZoom(1);
+    preloadLightboxNeighbours();
+}
+
+/**
+ * Avanza o retrocede en el lightbox
+ */
+function stepLightbox(direction) {
+    if (lightbox.items.length < 2) return;
+    showLightboxItem(lightbox.index + direction);
+}
+
+/**
+ * Precarga las imágenes vecinas para que el cambio sea instantáneo
+ */
+function preloadLightboxNeighbours() {
+    [-1, 1].forEach(direction => {
+        const total = lightbox.items.length;
+        const item = lightbox.items[(lightbox.index + direction + total) % total];
+        
+        if (item && item.type !== 'video') {
+            preloadImage(item.src, 'lightbox');
+        }
+    });
+}
+
+/**
+ * Teclado dentro del lightbox: Escape, flechas, +/- para el zoom y 0 para restablecerlo
+ */
+function handleLightboxKeydown(e) {
+    switch (e.key) {
+        case 'Escape':
+            closeLightbox();
+            break;
+        case 'ArrowLeft':
+            stepLightbox(-1);
+            break;
+        case 'ArrowRight':
+            stepLightbox(1);
+            break;
+        case '+':
+        case '=':
+            setLightboxZoom(lightbox.zoom + 0.5);
+            break;
+        case '-':
+            setLightboxZoom(lightbox.zoom - 0.5);
+            break;
+        case '0':
+            setLightboxZoom(1);
+            break;
+        case 'Tab':
+            trapModalFocus(e, DOM.lightbox);
+            return;
+        default:
+            return;
+    }
+    
+    e.preventDefault();
+}
+
+/**
+ * Indica si el lightbox muestra una imagen (los vídeos no admiten zoom)
+ */
+function isLightboxImage() {
+    const item = lightbox.items[lightbox.index];
+    return Boolean(lightbox.isOpen && item && item.type !== 'video');
+}
+
+/**
+ * Alterna entre el tamaño ajustado y el zoom por defecto
+ */
+function toggleLightboxZoom() {
+    setLightboxZoom(lightbox.zoom > 1 ? 1 : CONFIG.lightboxZoom);
+}
+
+/**
+ * Fija el nivel de zoom (entre 1 y CONFIG.lightboxMaxZoom)
+ * Volver a 1 centra de nuevo la imagen
+ */
+function setLightboxZoom(level) {
+    lightbox.zoom = isLightboxImage() ? Math.min(Math.max(level, 1), CONFIG.lightboxMaxZoom) : 1;
+    
+    if (lightbox.zoom === 1) {
+        lightbox.panX = 0;
+        lightbox.panY = 0;
+    }
+    
+    DOM.lightbox.classList.toggle('is-zoomed', lightbox.zoom > 1);
+    DOM.lightboxZoom.setAttribute('aria-pressed', String(lightbox.zoom > 1));
+    applyLightboxTransform();
+}
+
+/**
+ * Aplica zoom y desplazamiento a la imagen sin dejar huecos en los bordes
+ */
+function applyLightboxTransform() {
+    const media = DOM.lightboxStage.querySelector('.lightbox-media');
+    if (!media) return;
+    
+    const maxX = (media.clientWidth * (lightbox.zoom - 1)) / 2;
+    const maxY = (media.clientHeight * (lightbox.zoom - 1)) / 2;
+    lightbox.panX = Math.min(Math.max(lightbox.panX, -maxX), maxX);
+    lightbox.panY = Math.min(Math.max(lightbox.panY, -maxY), maxY);
+    
+    media.style.transform = `translate(${lightbox.panX}px, ${lightbox.panY}px) scale(${lightbox.zoom})`;
+}
+
+/**
+ * Arrastre con ratón, lápiz o dedo para recorrer la imagen ampliada
+ */
+function initializeLightboxPan() {
+    DOM.lightboxStage.addEventListener('pointerdown', (e) => {
+        if (lightbox.zoom === 1 || !e.target.classList.contains('lightbox-media')) return;
+        
+        lightbox.drag = { x: e.clientX - lightbox.panX, y: e.clientY - lightbox.panY };
+        if (e.target.setPointerCapture) e.target.setPointerCapture(e.pointerId);
+    });
+    
+    DOM.lightboxStage.addEventListener('pointermove', (e) => {
+        if (!lightbox.drag) return;
+        
+        lightbox.panX = e.clientX - lightbox.drag.x;
+        lightbox.panY = e.clientY - lightbox.drag.y;
+        applyLightboxTransform();
+    });
+    
+    ['pointerup', 'pointercancel'].forEach(type => {
+        DOM.lightboxStage.addEventListener(type, () => {
+            lightbox.drag = null;
+        });
+    });
+}
+
+/**
+ * Swipe horizontal para cambiar de imagen (solo sin zoom: con zoom el gesto desplaza)
+ */
+function initializeLightboxSwipe() {
+    let startX = null;
+    let startY = null;
+    
+    DOM.lightbox.addEventListener('touchstart', (e) => {
+        if (e.touches.length !== 1 || lightbox.zoom > 1) return;
+        startX = e.touches[0].clientX;
+        startY = e.touches[0].clientY;
+    }, { passive: true });
+    
+    DOM.lightbox.addEventListener('touchend', (e) => {
+        if (startX === null) return;
+        
+        const deltaX = e.changedTouches[0].clientX - startX;
+        const deltaY = e.changedTouches[0].clientY - startY;
+        startX = null;
+        
+        if (Math.abs(deltaX) < CONFIG.swipeThreshold || Math.abs(deltaX) < Math.abs(deltaY)) return;
+        
+        stepLightbox(deltaX < 0 ? 1 : -1);
+    });
+}
+
+// ========================================
+// ACCESIBILIDAD DEL MODAL
+// ========================================
+
+// Elementos que pueden recibir foco dentro del diálogo
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+/**
+ * Mantiene el foco de teclado dentro del modal abierto
+ * Tab en el último elemento vuelve al primero y Shift+Tab al revés
+ */
+function trapModalFocus(e, dialog = DOM.modalDialog) {
+    const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR))
+        .filter(el => el.offsetParent !== null || el === document.activeElement);
+    
+    if (!focusable.length) {
+        e.preventDefault();
+        return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    
+    if (!dialog.contains(document.activeElement)) {
+        e.preventDefault();
+        first.focus();
+    } else if (e.shiftKey && document.activeElement === first) {
+        e.preventDefault();
+        last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+        e.preventDefault();
+        first.focus();
+    }
+}
+
+/**
+ * Activa o desactiva el contenido de fondo mientras el modal está abierto
+ * inert bloquea foco y clics; aria-hidden cubre lectores sin soporte de inert
+ */
+function setPageInert(isInert) {
+    Array.from(document.body.children).forEach(el => {
+        // Las notificaciones siguen siendo accesibles con el modal abierto
+        if (el === DOM.modal || el === DOM.toastRegion || el.tagName === 'SCRIPT') return;
+        
+        if (isInert) {
+            el.setAttribute('inert', '');
+            el.setAttribute('aria-hidden', 'true');
+        } else {
+            el.removeAttribute('inert');
+            el.removeAttribute('aria-hidden');
+        }
+    });
+}
+
+/**
+ * Devuelve el foco al elemento que abrió el modal
+ * En enlaces directos (sin origen) usa la tarjeta del último proyecto visto
+ */
+function restoreModalFocus(projectId) {
+    let target = state.modalTrigger;
+    state.modalTrigger = null;
+    
+    if (!target || target === document.body || !document.contains(target)) {
+        target = DOM.projectsGrid && projectId
+            ? DOM.projectsGrid.querySelector(`.project-card[data-project="${projectId}"]`)
+            : null;
+    }
+    
+    if (target && typeof target.focus === 'function') {
+        target.focus();
+    }
+}
+
+/**
+ * Anuncia a lectores de pantalla el case study cargado
+ * Incluye la posición cuando hay navegación entre proyectos
+ */
+function announceCaseStudy(project) {
+    if (!DOM.modalAnnouncer) return;
+    
+    let position = '';
+    if (DOM.modalNav && !DOM.modalNav.hidden) {
+        const parts = DOM.modalPosition.textContent.split(' / ');
+        position = t('modal.announcePosition', { current: parts[0], total: parts[1] });
+    }
+    
+    DOM.modalAnnouncer.textContent = t('modal.announce', { title: project.title }) + position;
+}
+
+// ========================================
+// NAVEGACIÓN ENTRE CASE STUDIES
+// ========================================
+
+/**
+ * Obtiene los ids de proyecto navegables en el orden del grid
+ * Las tarjetas ocultas por filtros no forman parte del recorrido
+ */
+function getNavigableProjectIds() {
+    if (!DOM.projectsGrid) return [];
+    
+    return Array.from(DOM.projectsGrid.querySelectorAll('.project-card'))
+        .filter(card => !card.hidden)
+        .map(card => card.dataset.project);
+}
+
+/**
+ * Abre el proyecto anterior o siguiente del grid
+ * direction: -1 para anterior, 1 para siguiente (recorrido circular)
+ */
+function navigateCaseStudy(direction) {
+    if (!state.isModalOpen) return;
+    
+    const ids = getNavigableProjectIds();
+    const index = ids.indexOf(state.currentProject);
+    if (ids.length < 2 || index === -1) return;
+    
+    const nextIndex = (index + direction + ids.length) % ids.length;
+    openCaseStudy(ids[nextIndex]);
+    
+    // Empezar a leer el nuevo proyecto desde arriba
+    DOM.modalDialog.scrollTop = 0;
+}
+
+/**
+ * Actualiza los controles de navegación del modal
+ * Muestra la posición "3 / 6" y precarga las imágenes vecinas
+ */
+function updateModalNavigation(projectId) {
+    if (!DOM.modalNav) return;
+    
+    const ids = getNavigableProjectIds();
+    const index = ids.indexOf(projectId);
+    
+    // Sin vecinos (proyecto único o fuera del filtro activo) no hay navegación
+    if (ids.length < 2 || index === -1) {
+        DOM.modalNav.hidden = true;
+        return;
+    }
+    
+    DOM.modalNav.hidden = false;
+    DOM.modalPosition.textContent = `${index + 1} / ${ids.length}`;
+    
+    const prevId = ids[(index - 1 + ids.length) % ids.length];
+    const nextId = ids[(index + 1) % ids.length];
+    
+    loadCaseStudies()
+        .then(() => {
+            [prevId, nextId].forEach(preloadCaseStudyImage);
+        })
+        .catch(() => {
+            // Sin datos no hay nada que precargar
+        });
+}
+
+/**
+ * Precarga la imagen principal de un case study
+ * Hace instantáneo el cambio al proyecto vecino
+ */
+function preloadCaseStudyImage(projectId) {
+    const project = getCaseStudy(projectId);
+    if (!project) return;
+    
+    preloadImage(getMediaPreview(project.media[0]), 'caseStudy');
+}
+
+/**
+ * Imagen que representa un elemento de la galería: la propia imagen o el póster del vídeo
+ */
+function getMediaPreview(item) {
+    return item.type === 'video' ? item.poster : item.src;
+}
+
+/**
+ * Inicializa la navegación por swipe en pantallas táctiles
+ * Deslizar a la izquierda avanza, a la derecha retrocede
+ */
+function initializeModalSwipe() {
+    let startX = null;
+    let startY = null;
+    
+    DOM.modal.addEventListener('touchstart', (e) => {
+        if (e.touches.length !== 1 || lightbox.isOpen) return;
+        startX = e.touches[0].clientX;
+        startY = e.touches[0].clientY;
+    }, { passive: true });
+    
+    DOM.modal.addEventListener('touchend', (e) => {
+        if (startX === null) return;
+        
+        const deltaX = e.changedTouches[0].clientX - startX;
+        const deltaY = e.changedTouches[0].clientY - startY;
+        startX = null;
+        
+        // Ignorar gestos cortos o mayormente verticales (scroll del contenido)
+        if (Math.abs(deltaX) < CONFIG.swipeThreshold || Math.abs(deltaX) < Math.abs(deltaY)) return;
+        
+        navigateCaseStudy(deltaX < 0 ? 1 : -1);
+    });
+}
+
+// ========================================
+// ENRUTAMIENTO DE CASE STUDIES
+// ========================================
+
+/**
+ * Inicializa el enrutamiento de case studies con History API
+ * Permite enlazar ?case=<id> y cerrar el modal con el botón Atrás
+ */
+function initializeCaseStudyRouting() {
+    if (!DOM.modal || !window.history || !history.pushState) return;
+    
+    window.addEventListener('popstate', syncCaseStudyWithUrl);
+    
+    // Abrir el case study enlazado en la carga inicial
+    const projectId = getCaseStudyFromUrl();
+    if (projectId) {
+        loadCaseStudies()
+            .then(() => {
+                if (!getCaseStudy(projectId)) {
+                    console.warn('⚠️ Enlace a case study desconocido:', projectId);
+                    updateCaseStudyHistory(null, 'replace');
+                    return;
+                }
+                
+                // Insertar la página base debajo para que Atrás cierre el modal sin salir del sitio
+                updateCaseStudyHistory(null, 'replace');
+                openCaseStudy(projectId);
+            })
+            .catch(() => {
+                // El error ya se muestra en el grid de proyectos
+            });
+    }
+    
+    console.log('🔗 Enrutamiento de case studies inicializado');
+}
+
+/**
+ * Sincroniza el modal con la URL actual
+ * Se ejecuta en popstate (botones Atrás/Adelante)
+ */
+function syncCaseStudyWithUrl() {
+    const projectId = getCaseStudyFromUrl();
+    
+    if (projectId && getCaseStudy(projectId)) {
+        if (projectId !== state.currentProject) {
+            openCaseStudy(projectId, { fromHistory: true });
+        }
+    } else if (state.isModalOpen) {
+        closeModal({ fromHistory: true });
+    }
+}
+
+/**
+ * Lee el id del case study enlazado en la URL
+ * Devuelve null si la URL no apunta a ningún proyecto
+ */
+function getCaseStudyFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get(CONFIG.caseRouteParam) || null;
+}
+
+/**
+ * Construye la URL actual con o sin el parámetro de case study
+ * Conserva el resto de parámetros y el hash
+ */
+function buildCaseStudyUrl(projectId) {
+    const url = new URL(window.location.href);
+    
+    if (projectId) {
+        url.searchParams.set(CONFIG.caseRouteParam, projectId);
+    } else {
+        url.searchParams.delete(CONFIG.caseRouteParam);
+    }
+    
+    return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Registra el case study en el historial del navegador
+ * mode: 'push' crea una entrada nueva, 'replace' modifica la actual
+ */
+function updateCaseStudyHistory(projectId, mode) {
+    if (!window.history || !history.pushState) return;
+    
+    const entry = projectId ? { caseStudy: projectId } : null;
+    const url = buildCaseStudyUrl(projectId);
+    
+    if (mode === 'push') {
+        history.pushState(entry, '', url);
+    } else {
+        history.replaceState(entry, '', url);
+    }
+}
+
+// ========================================
+// ANALÍTICA DE EVENTOS
+// ========================================
+
+// Estado interno del pipeline: cola por enviar y contexto de la sesión
+// La sesión vive solo en memoria: no hay cookies ni identificadores persistentes
+const analytics = {
+    enabled: false,
+    listening: false,
+    sinks: [],
+    endpoint: null,
+    queue: [],
+    timer: null,
+    sessionId: null,
+    lastSection: null,
+    scrollMilestones: [],
+    caseStudyOpenedAt: 0,
+    formStarted: false,
+    formFinished: false
+};
+
+// Porcentajes de scroll que se registran una sola vez por visita
+const ANALYTICS_SCROLL_MILESTONES = [25, 50, 75, 100];
+
+// Destinos disponibles para los lotes de eventos (CONFIG.analyticsSinks)
+const ANALYTICS_SINKS = {
+    // Desarrollo: muestra cada evento en la consola
+    console: {
+        send(events) {
+            events.forEach(event => console.log(`📊 ${event.name}`, event.props));
+        }
+    },
+    
+    // Producción: POST JSON a un endpoint propio con sendBeacon (sobrevive al cierre de la pestaña)
+    endpoint: {
+        send(events, endpoint) {
+            if (!endpoint) {
+                console.warn('⚠️ Analítica: sink "endpoint" sin CONFIG.analyticsEndpoint');
+                return;
+            }
+            
+            const payload = JSON.stringify({ events: events });
+            const queued = navigator.sendBeacon
+                && navigator.sendBeacon(endpoint, new Blob([payload], { type: 'application/json' }));
+            
+            // Sin sendBeacon, o si el navegador rechaza el lote, fetch con keepalive
+            if (!queued) {
+                fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: payload,
+                    keepalive: true
+                }).catch(error => console.warn('⚠️ Analítica: lote no enviado', error.message));
+            }
+        }
+    },
+    
+    // Pruebas: acumula los eventos en localStorage para inspeccionarlos
+    storage: {
+        send(events) {
+            const stored = readStorageList(CONFIG.analyticsStorageKey).concat(events);
+            writeStorage(CONFIG.analyticsStorageKey, JSON.stringify(stored.slice(-CONFIG.analyticsStorageSize)));
+        }
+    }
+};
+
+/**
+ * Inicializa la analítica si hay destinos configurados y el visitante no pide Do Not Track
+ * Solo la llama el gestor de consentimiento, tras aceptar la categoría analytics
+ */
+function initializeAnalytics() {
+    const config = getAnalyticsConfig();
+    
+    if (isDoNotTrackEnabled()) {
+        console.log('📊 Analítica desactivada: el navegador pide Do Not Track');
+        return;
+    }
+    
+    analytics.sinks = config.sinks.filter(name => {
+        if (ANALYTICS_SINKS[name]) return true;
+        console.error('❌ Sink de analítica desconocido:', name);
+        return false;
+    });
+    analytics.endpoint = config.endpoint;
+    if (!analytics.sinks.length) return;
+    
+    analytics.enabled = true;
+    analytics.sessionId = generateId();
+    
+    // La sección actual cuenta como vista al activar la analítica
+    trackSectionView(scrollSpy.current);
+    
+    // Al volver a aceptar tras revocar, los listeners ya están registrados
+    if (analytics.listening) return;
+    analytics.listening = true;
+    
+    subscribe('section:change', (detail) => {
+        trackSectionView(detail.section);
+    });
+    
+    // Abandono del formulario: empezó a rellenarse pero no llegó a enviarse
+    if (DOM.contactForm) {
+        DOM.contactForm.addEventListener('focusin', () => {
+            if (analytics.formStarted) return;
+            analytics.formStarted = true;
+            trackEvent('form_start', { step: state.formStep });
+        });
+    }
+    
+    // Vaciar la cola antes de que la pestaña se oculte o se cierre
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnalytics();
+    });
+    window.addEventListener('pagehide', () => {
+        if (analytics.enabled && analytics.formStarted && !analytics.formFinished) {
+            trackEvent('form_abandon', { step: state.formStep });
+        }
+        flushAnalytics();
+    });
+    
+    console.log('📊 Analítica inicializada:', analytics.sinks.join(', '));
+}
+
+/**
+ * Lee la configuración de analítica
+ * En local, ?analytics=console,storage y ?analyticsEndpoint=/collect la sustituyen para probar
+ */
+function getAnalyticsConfig() {
+    const config = {
+        sinks: CONFIG.analyticsSinks.slice(),
+        endpoint: CONFIG.analyticsEndpoint
+    };
+    
+    if (isLocalEnvironment()) {
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('analytics')) config.sinks = params.get('analytics').split(',').filter(Boolean);
+        if (params.get('analyticsEndpoint')) config.endpoint = params.get('analyticsEndpoint');
+    }
+    
+    return config;
+}
+
+/**
+ * Indica si el visitante pidió no ser rastreado (Do Not Track o Global Privacy Control)
+ */
+function isDoNotTrackEnabled() {
+    const signal = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return signal === '1' || signal === 'yes' || navigator.globalPrivacyControl === true;
+}
+
+/**
+ * Registra un evento estructurado y lo deja en la cola del próximo lote
+ * props no debe llevar datos personales: ni nombres, ni emails, ni textos del formulario
+ */
+function trackEvent(name, props = {}) {
+    if (!analytics.enabled) return;
+    
+    analytics.queue.push({
+        name: name,
+        props: props,
+        at: new Date().toISOString(),
+        session: analytics.sessionId,
+        path: window.location.pathname,
+        locale: state.locale
+    });
+    
+    if (analytics.queue.length >= CONFIG.analyticsBatchSize) {
+        flushAnalytics();
+    } else if (!analytics.timer) {
+        analytics.timer = setTimeout(flushAnalytics, CONFIG.analyticsFlushInterval);
+    }
+}
+
+/**
+ * Envía la cola pendiente a todos los destinos configurados
+ * Un destino que falla no impide que el resto reciba el lote
+ */
+function flushAnalytics() {
+    clearTimeout(analytics.timer);
+    analytics.timer = null;
+    
+    if (!analytics.queue.length) return;
+    
+    const events = analytics.queue.splice(0);
+    analytics.sinks.forEach(name => {
+        try {
+            ANALYTICS_SINKS[name].send(events, analytics.endpoint);
+        } catch (error) {
+            console.warn(`⚠️ Analítica: fallo en el sink ${name}`, error);
+        }
+    });
+}
+
+/**
+ * Desactiva la analítica al revocar el consentimiento
+ * Descarta la cola pendiente y los eventos guardados por el sink de pruebas
+ */
+function disableAnalytics() {
+    analytics.enabled = false;
+    analytics.queue = [];
+    clearTimeout(analytics.timer);
+    analytics.timer = null;
+    removeStorage(CONFIG.analyticsStorageKey);
+    
+    console.log('📊 Analítica desactivada por el visitante');
+}
+
+/**
+ * Registra la apertura de un case study y empieza a medir el tiempo de lectura
+ * source: 'card' desde el grid, 'navigation' con las flechas, 'history' desde la URL
+ */
+function trackCaseStudyOpen(projectId, source) {
+    analytics.caseStudyOpenedAt = Date.now();
+    trackEvent('case_study_open', { project: projectId, source: source });
+}
+
+/**
+ * Registra el cierre (o el cambio) de un case study con su tiempo de permanencia
+ */
+function trackCaseStudyClose(projectId, reason) {
+    if (!analytics.caseStudyOpenedAt) return;
+    
+    trackEvent('case_study_close', {
+        project: projectId,
+        reason: reason,
+        dwellMs: Date.now() - analytics.caseStudyOpenedAt
+    });
+    analytics.caseStudyOpenedAt = 0;
+}
+
+/**
+ * Registra el resultado de un envío del formulario
+ * outcome: invalid, blocked, success, queued o error
+ */
+function trackFormOutcome(outcome, props = {}) {
+    if (outcome !== 'invalid' && outcome !== 'error') {
+        analytics.formFinished = true;
+    }
+    trackEvent(`form_${outcome}`, Object.assign({ step: state.formStep }, props));
+}
+
+/**
+ * Registra la sección visible cuando cambia
+ */
+function trackSectionView(sectionId) {
+    if (!sectionId || sectionId === analytics.lastSection) return;
+    
+    analytics.lastSection = sectionId;
+    trackEvent('section_view', { section: sectionId });
+}
+
+/**
+ * Registra la profundidad de scroll al cruzar cada umbral por primera vez
+ */
+function trackScrollDepth() {
+    if (!analytics.enabled) return;
+    
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    const depth = scrollable > 0 ? Math.round((window.pageYOffset / scrollable) * 100) : 100;
+    
+    ANALYTICS_SCROLL_MILESTONES.forEach(milestone => {
+        if (depth >= milestone && !analytics.scrollMilestones.includes(milestone)) {
+            analytics.scrollMilestones.push(milestone);
+            trackEvent('scroll_depth', { percent: milestone });
+        }
+    });
+}
+
+// ========================================
+// CONSENTIMIENTO Y RECURSOS DE TERCEROS
+// ========================================
+
+// Categorías que puede aceptar el visitante; "necessary" no se puede desactivar
+const CONSENT_CATEGORIES = ['necessary', 'functional', 'analytics'];
+
+// Recursos que solo se cargan tras aceptar su categoría
+// Si unload falta o devuelve false, el recurso solo se retira recargando la página
+const CONSENT_INTEGRATIONS = [
+    { id: 'fonts', category: 'functional', load: loadExternalFonts, unload: removeExternalFonts },
+    { id: 'chatbase', category: 'functional', load: enableChatbase, unload: disableChatbase },
+    { id: 'analytics', category: 'analytics', load: initializeAnalytics, unload: disableAnalytics }
+];
+
+// Estado interno: elección guardada e integraciones ya cargadas en esta página
+const consent = {
+    choices: null,
+    loaded: []
+};
+
+/**
+ * Inicializa el gestor de consentimiento
+ * Sin una elección guardada muestra el banner y no carga nada de terceros
+ */
+function initializeConsent() {
+    if (DOM.consentBanner) {
+        DOM.consentBanner.addEventListener('click', handleConsentAction);
+    }
+    
+    if (DOM.consentForm) {
+        DOM.consentForm.addEventListener('click', handleConsentAction);
+        DOM.consentForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            saveConsent({
+                functional: DOM.consentForm.elements.functional.checked,
+                analytics: DOM.consentForm.elements.analytics.checked
+            });
+        });
+    }
+    
+    // Revocar o cambiar la elección en cualquier momento desde el pie de página
+    if (DOM.consentManage) {
+        DOM.consentManage.addEventListener('click', openConsentDialog);
+    }
+    
+    consent.choices = readConsent();
+    
+    if (consent.choices) {
+        applyConsent();
+    } else if (DOM.consentBanner) {
+        DOM.consentBanner.hidden = false;
+    }
+    
+    console.log('🍪 Gestor de consentimiento inicializado');
+}
+
+/**
+ * Atiende los botones con data-consent-action del banner y del diálogo
+ */
+function handleConsentAction(e) {
+    const button = e.target.closest('[data-consent-action]');
+    if (!button) return;
+    
+    switch (button.dataset.consentAction) {
+        case 'all':
+            saveConsent({ functional: true, analytics: true });
+            break;
+            
+        case 'necessary':
+            saveConsent({ functional: false, analytics: false });
+            break;
+            
+        case 'customize':
+            openConsentDialog();
+            break;
+    }
+}
+
+/**
+ * Lee la elección guardada
+ * Una elección de otra versión de la política o demasiado antigua se vuelve a pedir
+ */
+function readConsent() {
+    try {
+        const stored = JSON.parse(readStorage(CONFIG.consentStorageKey));
+        if (!stored || stored.version !== CONFIG.consentVersion) return null;
+        if (Date.now() - stored.updatedAt > CONFIG.consentMaxAge) return null;
+        return stored;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Guarda la elección del visitante y la aplica de inmediato
+ */
+function saveConsent(choices) {
+    consent.choices = {
+        version: CONFIG.consentVersion,
+        functional: Boolean(choices.functional),
+        analytics: Boolean(choices.analytics),
+        updatedAt: Date.now()
+    };
+    writeStorage(CONFIG.consentStorageKey, JSON.stringify(consent.choices));
+    
+    if (DOM.consentBanner) DOM.consentBanner.hidden = true;
+    closeConsentDialog();
+    applyConsent();
+    
+    console.log('🍪 Consentimiento guardado:', CONSENT_CATEGORIES.filter(hasConsent).join(', '));
+}
+
+/**
+ * Indica si el visitante aceptó una categoría
+ */
+function hasConsent(category) {
+    return category === 'necessary' || Boolean(consent.choices && consent.choices[category]);
+}
+
+/**
+ * Carga las integraciones aceptadas y retira las revocadas
+ * Si alguna no se puede retirar en caliente se ofrece recargar la página
+ */
+function applyConsent() {
+    let needsReload = false;
+    
+    CONSENT_INTEGRATIONS.forEach(integration => {
+        const granted = hasConsent(integration.category);
+        const loaded = consent.loaded.includes(integration.id);
+        
+        if (granted && !loaded) {
+            integration.load();
+            consent.loaded.push(integration.id);
+        } else if (!granted && loaded) {
+            if (integration.unload && integration.unload() !== false) {
+                consent.loaded = consent.loaded.filter(id => id !== integration.id);
+            } else {
+                needsReload = true;
+            }
+        }
+    });
+    
+    if (needsReload) {
+        notifications.info(t('consent.reloadBody'), {
+            title: t('consent.reloadTitle'),
+            duration: 0,
+            action: { label: t('consent.reload'), onClick: () => window.location.reload() }
+        });
+    }
+}
+
+/**
+ * Abre el diálogo de preferencias con la elección actual marcada
+ */
+function openConsentDialog() {
+    if (!DOM.consentDialog) return;
+    
+    DOM.consentForm.elements.functional.checked = hasConsent('functional');
+    DOM.consentForm.elements.analytics.checked = hasConsent('analytics');
+    
+    if (DOM.consentDialog.open) return;
+    
+    // Con un case study abierto el diálogo sería un hijo inerte de <body>: se cierra antes el modal
+    if (state.isModalOpen) closeModal();
+    
+    // showModal deja inerte el resto de la página y cierra con Escape
+    if (typeof DOM.consentDialog.showModal === 'function') {
+        DOM.consentDialog.showModal();
+    } else {
+        DOM.consentDialog.setAttribute('open', '');
+    }
+    
+    DOM.consentForm.elements.functional.focus();
+}
+
+/**
+ * Cierra el diálogo de preferencias si está abierto
+ */
+function closeConsentDialog() {
+    if (!DOM.consentDialog || !DOM.consentDialog.open) return;
+    
+    if (typeof DOM.consentDialog.close === 'function') {
+        DOM.consentDialog.close();
+    } else {
+        DOM.consentDialog.removeAttribute('open');
+    }
+}
+
+/**
+ * Carga las fuentes de Google (categoría functional)
+ * Sin consentimiento la página usa la pila de fuentes del sistema definida en el CSS
+ */
+function loadExternalFonts() {
+    const resources = [
+        { rel: 'preconnect', href: 'https://fonts.googleapis.com' },
+        { rel: 'preconnect', href: 'https://fonts.gstatic.com', crossOrigin: 'anonymous' },
+        { rel: 'stylesheet', href: CONFIG.externalFontsUrl }
+    ];
+    
+    resources.forEach(resource => {
+        const link = document.createElement('link');
+        link.rel = resource.rel;
+        link.href = resource.href;
+        if (resource.crossOrigin) link.crossOrigin = resource.crossOrigin;
+        link.dataset.consentResource = 'fonts';
+        document.head.appendChild(link);
+    });
+}
+
+/**
+ * Retira las fuentes de Google al revocar el consentimiento
  */
-function showSuccessMessage() {
-    const successDiv = document.createElement('div');
-    successDiv.className = 'form-success';
-    successDiv.style.backgroundColor = '#d4edda';
-    successDiv.style.border = '1px solid #c3e6cb';
-    successDiv.style.borderRadius = '8px';
-    successDiv.style.padding = '1rem';
-    successDiv.style.marginBottom = '1rem';
-    successDiv.style.color = '#155724';
-    successDiv.style.textAlign = 'center';
-    successDiv.innerHTML = `
-        <strong>¡Mensaje enviado correctamente!</strong><br>
-        Te contactaré en menos de 24 horas.
-    `;
+function removeExternalFonts() {
+    document.querySelectorAll('[data-consent-resource="fonts"]').forEach(link => link.remove());
+}
+
+// ========================================
+// ASISTENTE DE CHAT (CHATBASE)
+// ========================================
+
+// Interacciones que cuentan como "primer uso" para cargar el widget
+const CHAT_LOAD_EVENTS = ['pointerdown', 'keydown', 'touchstart', 'scroll'];
+
+// Estado interno: el widget solo se descarga tras consentimiento y primera interacción
+const chat = {
+    enabled: false,
+    loaded: false
+};
+
+/**
+ * Inicializa los accesos al chat desde el resto de la página
+ * El botón "Preguntar sobre este proyecto" del modal se atiende por delegación
+ */
+function initializeChat() {
+    if (!CONFIG.chatbaseId || !DOM.modalContent) return;
     
-    DOM.contactForm.insertBefore(successDiv, DOM.contactForm.firstChild);
+    DOM.modalContent.addEventListener('click', (e) => {
+        if (e.target.closest('[data-chat-action="project"]')) {
+            askAboutProject(state.currentProject);
+        }
+    });
     
-    // Ocultar mensaje después de 5 segundos
-    setTimeout(() => {
-        successDiv.remove();
-    }, 5000);
+    console.log('💬 Asistente de chat inicializado');
 }
 
 /**
- * Muestra mensaje de error del formulario
- * Feedback claro para problemas de envío
+ * Activa el chat al aceptar la categoría functional
+ * No descarga nada todavía: espera a la primera interacción con la página
  */
-function showErrorMessage(message) {
-    const errorDiv = document.createElement('div');
-    errorDiv.className = 'form-error';
-    errorDiv.style.backgroundColor = '#f8d7da';
-    errorDiv.style.border = '1px solid #f5c6cb';
-    errorDiv.style.borderRadius = '8px';
-    errorDiv.style.padding = '1rem';
-    errorDiv.style.marginBottom = '1rem';
-    errorDiv.style.color = '#721c24';
-    errorDiv.style.textAlign = 'center';
-    errorDiv.innerHTML = `
-        <strong>Error al enviar mensaje</strong><br>
-        ${message}
-    `;
+function enableChatbase() {
+    if (!CONFIG.chatbaseId) return;
     
-    DOM.contactForm.insertBefore(errorDiv, DOM.contactForm.firstChild);
+    chat.enabled = true;
+    if (chat.loaded) return;
     
-    // Ocultar mensaje después de 8 segundos
-    setTimeout(() => {
-        errorDiv.remove();
-    }, 8000);
+    CHAT_LOAD_EVENTS.forEach(type => {
+        window.addEventListener(type, handleFirstInteraction, { passive: true });
+    });
 }
 
-// ========================================
-// SISTEMA DE MODALES PARA CASE STUDIES
-// ========================================
+/**
+ * Desactiva el chat al revocar el consentimiento
+ * Devuelve false si el widget ya se cargó: solo se retira recargando la página
+ */
+function disableChatbase() {
+    chat.enabled = false;
+    removeChatLoadListeners();
+    return !chat.loaded;
+}
 
 /**
- * Inicializa el sistema de modales para case studies
- * Incluye apertura, cierre y navegación entre proyectos
+ * Primera interacción del visitante: ya se puede cargar el widget
  */
-function initializeModals() {
-    if (!DOM.modal) return;
-    
-    // Event listeners para abrir modales
-    DOM.projectCards.forEach(card => {
-        card.addEventListener('click', () => openCaseStudy(card.dataset.project));
+function handleFirstInteraction() {
+    removeChatLoadListeners();
+    loadChatbase();
+}
+
+function removeChatLoadListeners() {
+    CHAT_LOAD_EVENTS.forEach(type => {
+        window.removeEventListener(type, handleFirstInteraction);
     });
+}
+
+/**
+ * Inyecta el widget de Chatbase
+ * Reproduce el snippet oficial: una cola recoge las llamadas hasta que carga el embed
+ */
+function loadChatbase() {
+    if (!chat.enabled || chat.loaded) return;
+    chat.loaded = true;
     
-    // Event listeners para cerrar modales
-    if (DOM.modalClose) {
-        DOM.modalClose.addEventListener('click', closeModal);
+    if (!window.chatbase || window.chatbase('getState') !== 'initialized') {
+        const queue = (...args) => {
+            if (!queue.q) queue.q = [];
+            queue.q.push(args);
+        };
+        window.chatbase = new Proxy(queue, {
+            get: (target, prop) => prop === 'q' ? target.q : (...args) => target(prop, ...args)
+        });
     }
     
-    if (DOM.modalOverlay) {
-        DOM.modalOverlay.addEventListener('click', closeModal);
-    }
+    const inject = () => {
+        const script = document.createElement('script');
+        script.src = CONFIG.chatbaseScriptUrl;
+        script.id = CONFIG.chatbaseId;
+        script.domain = 'www.chatbase.co';
+        document.body.appendChild(script);
+    };
     
-    // Cerrar modal con tecla Escape
-    document.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape' && state.isModalOpen) {
-            closeModal();
-        }
-    });
+    // El embed espera a la carga completa para no competir con los recursos de la página
+    if (document.readyState === 'complete') {
+        inject();
+    } else {
+        window.addEventListener('load', inject, { once: true });
+    }
     
-    console.log('🎭 Sistema de modales inicializado');
+    console.log('💬 Widget de Chatbase cargado');
 }
 
 /**
- * Abre el modal de case study
- * Carga contenido dinámico basado en el proyecto
+ * Abre el chat, cargándolo si hace falta
+ * options.message: saludo inicial con el contexto; options.source y options.project van a la analítica
+ * Sin consentimiento functional se ofrece cambiar las preferencias en lugar de abrirlo
  */
-function openCaseStudy(projectId) {
-    state.isModalOpen = true;
-    state.currentProject = projectId;
+function openChat(options = {}) {
+    if (!CONFIG.chatbaseId) return false;
     
-    // Mostrar modal
-    DOM.modal.classList.add('active');
-    document.body.style.overflow = 'hidden';
+    if (!hasConsent('functional')) {
+        notifications.info(t('chat.consentRequired'), {
+            action: { label: t('consent.manage'), onClick: openConsentDialog }
+        });
+        return false;
+    }
     
-    // Cargar contenido del case study
-    loadCaseStudyContent(projectId);
+    // El widget se cuelga de <body>, que el modal deja inerte: se cierra el case study antes
+    if (state.isModalOpen) closeModal();
     
-    // Focus en el modal para accesibilidad
-    DOM.modalClose.focus();
+    loadChatbase();
+    
+    // Las llamadas se encolan si el embed aún no ha terminado de cargar
+    if (options.message) {
+        window.chatbase('setInitialMessages', [options.message]);
+    }
+    window.chatbase('open');
+    
+    trackEvent('chat_open', { source: options.source || 'direct', project: options.project || null });
+    return true;
 }
 
 /**
- * Cierra el modal de case study
- * Restaura el estado y limpia el contenido
+ * Abre el chat con el case study actual como contexto
  */
-function closeModal() {
-    state.isModalOpen = false;
-    state.currentProject = null;
-    
-    // Ocultar modal
-    DOM.modal.classList.remove('active');
-    document.body.style.overflow = '';
+function askAboutProject(projectId) {
+    const project = projectId && getCaseStudy(projectId);
+    if (!project) return false;
     
-    // Limpiar contenido
-    DOM.modalContent.innerHTML = '';
+    return openChat({
+        source: 'case-study',
+        project: projectId,
+        message: t('chat.projectGreeting', { title: localizeCaseStudy(project).title })
+    });
 }
 
 /**
- * Carga el contenido del case study
- * Datos simulados con estructura profesional
+ * Acción de notificación que ofrece el chat cuando falla el envío del formulario
+ * Devuelve null si no hay chat configurado
  */
-function loadCaseStudyContent(projectId) {
-    const caseStudies = {
-        'fintech-rebrand': {
-            title: 'Rebranding para Startup de Fintech',
-            client: 'TechFinance Startup',
-            duration: '3 meses',
-            role: 'Lead Designer & Brand Strategist',
-            objective: 'Reposicionar la marca para aumentar la confianza del usuario y triplicar las conversiones',
-            problem: 'La startup tenía una identidad visual inconsistente que no transmitía confianza en el sector financiero, resultando en bajas tasas de conversión y poca diferenciación en el mercado.',
-            process: [
-                'Análisis de mercado y competencia',
-                'Research de usuarios y pain points',
-                'Desarrollo de estrategia de marca',
-                'Creación de identidad visual completa',
-                'Diseño de sistema de diseño',
-                'Implementación en todos los touchpoints'
-            ],
-            solution: 'Desarrollé una identidad visual moderna y confiable que comunica estabilidad financiera a través de colores corporativos, tipografía profesional y elementos gráficos que transmiten transparencia y seguridad.',
-            results: [
-                '300% incremento en conversiones',
-                '85% mejora en reconocimiento de marca',
-                '40% reducción en costo de adquisición',
-                '95% satisfacción del cliente'
-            ],
-            image: 'https://picsum.photos/600/400?random=1'
-        },
-        'ecommerce-app': {
-            title: 'App Móvil E-commerce',
-            client: 'RetailPlus',
-            duration: '4 meses',
-            role: 'UX/UI Designer',
-            objective: 'Rediseñar la experiencia de compra móvil para reducir el abandono del carrito y aumentar las ventas',
-            problem: 'La app móvil tenía una tasa de abandono del carrito del 70% debido a una experiencia de usuario confusa y procesos de compra complejos.',
-            process: [
-                'Audit de UX existente',
-                'User research y entrevistas',
-                'Mapeo de customer journey',
-                'Wireframing y prototipado',
-                'Testing de usabilidad',
-                'Diseño de interfaz final'
-            ],
-            solution: 'Creé una experiencia de compra simplificada con checkout en un solo paso, navegación intuitiva y elementos visuales que guían al usuario hacia la conversión.',
-            results: [
-                '35% reducción en abandono del carrito',
-                '50% incremento en ventas móviles',
-                '4.8/5 rating en app stores',
-                '60% mejora en tiempo de checkout'
-            ],
-            image: 'https://picsum.photos/600/400?random=2'
-        },
-        'corporate-campaign': {
-            title: 'Campaña Corporativa Multichannel',
-            client: 'GlobalCorp',
-            duration: '2 meses',
-            role: 'Creative Director',
-            objective: 'Unificar la comunicación de marca en todos los touchpoints para mejorar el reconocimiento y la coherencia',
-            problem: 'La empresa tenía múltiples canales de comunicación con mensajes inconsistentes y diseño fragmentado, afectando la percepción de marca.',
-            process: [
-                'Audit de marca existente',
-                'Desarrollo de guidelines',
-                'Creación de assets multichannel',
-                'Diseño de templates',
-                'Capacitación de equipos',
-                'Implementación coordinada'
-            ],
-            solution: 'Desarrollé un sistema de comunicación unificado con guidelines claras, templates reutilizables y una identidad visual consistente en todos los canales.',
-            results: [
-                '90% consistencia en comunicación',
-                '45% mejora en reconocimiento de marca',
-                '30% reducción en tiempo de producción',
-                '100% adopción por parte de equipos'
-            ],
-            image: 'https://picsum.photos/600/400?random=3'
-        },
-        'saas-dashboard': {
-            title: 'Dashboard SaaS B2B',
-            client: 'DataAnalytics Pro',
-            duration: '5 meses',
-            role: 'Product Designer',
-            objective: 'Rediseñar la interfaz compleja para mejorar la usabilidad y reducir el tiempo de onboarding',
-            problem: 'El dashboard tenía una curva de aprendizaje muy alta, con usuarios abandonando la plataforma en las primeras semanas debido a la complejidad de la interfaz.',
-            process: [
-                'Análisis de datos de uso',
-                'User interviews y surveys',
-                'Information architecture',
-                'Wireframing y prototipado',
-                'Usability testing iterativo',
-                'Diseño de sistema de componentes'
-            ],
-            solution: 'Simplifiqué la interfaz agrupando funcionalidades relacionadas, creé un sistema de navegación intuitivo y desarrollé un onboarding progresivo.',
-            results: [
-                '50% reducción en tiempo de onboarding',
-                '70% mejora en task completion rate',
-                '4.5/5 satisfacción del usuario',
-                '40% reducción en tickets de soporte'
-            ],
-            image: 'https://picsum.photos/600/400?random=4'
-        },
-        'sustainable-packaging': {
-            title: 'Packaging Sostenible',
-            client: 'EcoProducts',
-            duration: '2 meses',
-            role: 'Packaging Designer',
-            objective: 'Crear packaging que comunique valores sostenibles y aumente las ventas en el segmento eco-conscious',
-            problem: 'El packaging actual no comunicaba los valores sostenibles de la marca, perdiendo oportunidades en el mercado eco-friendly en crecimiento.',
-            process: [
-                'Research de mercado eco-friendly',
-                'Análisis de materiales sostenibles',
-                'Desarrollo de conceptos visuales',
-                'Prototipado y testing',
-                'Optimización para producción',
-                'Implementación en línea de productos'
-            ],
-            solution: 'Diseñé un sistema de packaging que combina materiales sostenibles con una identidad visual que comunica claramente los valores ecológicos de la marca.',
-            results: [
-                '60% incremento en ventas eco-segment',
-                '85% mejora en percepción sostenible',
-                '30% reducción en costos de packaging',
-                'Premio de diseño sostenible 2024'
-            ],
-            image: 'https://picsum.photos/600/400?random=5'
-        },
-        'brand-identity': {
-            title: 'Identidad de Marca Completa',
-            client: 'InnovateTech',
-            duration: '3 meses',
-            role: 'Brand Designer',
-            objective: 'Desarrollar identidad visual desde cero para posicionar la empresa como líder en su sector',
-            problem: 'La startup necesitaba una identidad visual profesional que comunicara innovación y confiabilidad para competir en el mercado tecnológico.',
-            process: [
-                'Brand strategy y positioning',
-                'Desarrollo de conceptos creativos',
-                'Diseño de logo y variaciones',
-                'Creación de manual de marca',
-                'Diseño de aplicaciones',
-                'Implementación en todos los touchpoints'
-            ],
-            solution: 'Creé una identidad visual moderna y escalable que comunica innovación tecnológica a través de elementos gráficos dinámicos y una paleta de colores distintiva.',
-            results: [
-                '100% reconocimiento de marca en 6 meses',
-                '200% incremento en leads calificados',
-                'Premio a mejor identidad corporativa',
-                'Expansión a 3 mercados internacionales'
-            ],
-            image: 'https://picsum.photos/600/400?random=6'
-        }
+function getChatFallbackAction() {
+    if (!CONFIG.chatbaseId) return null;
+    
+    return {
+        label: t('chat.fallback'),
+        onClick: () => openChat({ source: 'form-error', message: t('chat.formGreeting') })
     };
+}
+
+// ========================================
+// APLICACIÓN INSTALABLE (PWA)
+// ========================================
+
+// Estado interno: solo se recarga si el visitante aceptó la actualización
+const pwa = {
+    updateAccepted: false
+};
+
+/**
+ * Registra el service worker que permite ver el portafolio sin conexión
+ * Requiere contexto seguro (HTTPS o localhost)
+ */
+function initializeServiceWorker() {
+    if (!CONFIG.serviceWorkerUrl || !('serviceWorker' in navigator) || !window.isSecureContext) return;
     
-    const project = caseStudies[projectId];
-    if (!project) return;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // La primera instalación también toma el control: ahí no hay nada que recargar
+        if (pwa.updateAccepted) window.location.reload();
+    });
     
-    // Generar HTML del case study
-    const caseStudyHTML = `
-        <div class="case-study-header">
-            <img src="${project.image}" alt="${project.title}" class="case-study-image">
-            <div class="case-study-meta">
-                <h1>${project.title}</h1>
-                <div class="case-study-info">
-                    <div class="info-item">
-                        <strong>Cliente:</strong> ${project.client}
-                    </div>
-                    <div class="info-item">
-                        <strong>Duración:</strong> ${project.duration}
-                    </div>
-                    <div class="info-item">
-                        <strong>Rol:</strong> ${project.role}
-                    </div>
-                </div>
-            </div>
-        </div>
-        
-        <div class="case-study-body">
-            <section class="case-study-section">
-                <h2>Objetivo</h2>
-                <p>${project.objective}</p>
-            </section>
-            
-            <section class="case-study-section">
-                <h2>El Problema</h2>
-                <p>${project.problem}</p>
-            </section>
-            
-            <section class="case-study-section">
-                <h2>Proceso</h2>
-                <ul class="process-list">
-                    ${project.process.map(step => `<li>${step}</li>`).join('')}
-                </ul>
-            </section>
+    navigator.serviceWorker.register(CONFIG.serviceWorkerUrl)
+        .then(registration => {
+            // Versión nueva descargada en una visita anterior y aún en espera
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                promptServiceWorkerUpdate(registration.waiting);
+            }
             
-            <section class="case-study-section">
-                <h2>La Solución</h2>
-                <p>${project.solution}</p>
-            </section>
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                if (!worker) return;
+                
+                worker.addEventListener('statechange', () => {
+                    if (worker.state !== 'installed') return;
+                    
+                    if (navigator.serviceWorker.controller) {
+                        promptServiceWorkerUpdate(worker);
+                    } else {
+                        notifications.success(t('pwa.offlineReady'));
+                    }
+                });
+            });
             
-            <section class="case-study-section">
-                <h2>Resultados</h2>
-                <div class="results-grid">
-                    ${project.results.map(result => `<div class="result-item">${result}</div>`).join('')}
-                </div>
-            </section>
-        </div>
-    `;
-    
-    DOM.modalContent.innerHTML = caseStudyHTML;
+            console.log('📲 Service worker registrado');
+        })
+        .catch(error => {
+            console.warn('⚠️ No se pudo registrar el service worker:', error);
+        });
+}
+
+/**
+ * Ofrece recargar cuando hay una versión nueva del sitio en espera
+ * El worker nuevo no se activa hasta que el visitante lo acepta
+ */
+function promptServiceWorkerUpdate(worker) {
+    notifications.info(t('pwa.updateBody'), {
+        title: t('pwa.updateTitle'),
+        duration: 0,
+        action: {
+            label: t('pwa.updateAction'),
+            onClick: () => {
+                pwa.updateAccepted = true;
+                worker.postMessage({ type: 'SKIP_WAITING' });
+            }
+        }
+    });
 }
 
 // ========================================
 // ANIMACIONES DE SCROLL
 // ========================================
 
+// Observer compartido para las animaciones de aparición
+let scrollAnimationObserver = null;
+
 /**
  * Inicializa las animaciones basadas en scroll
  * Optimizado para performance con Intersection Observer
@@ -837,7 +5786,7 @@ function loadCaseStudyContent(projectId) {
 function initializeScrollAnimations() {
     // Usar Intersection Observer para mejor performance
     if ('IntersectionObserver' in window) {
-        const observer = new IntersectionObserver((entries) => {
+        scrollAnimationObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     entry.target.classList.add('animate-in');
@@ -849,15 +5798,30 @@ function initializeScrollAnimations() {
         });
         
         // Observar elementos animables
-        const animatedElements = document.querySelectorAll('.project-card, .experience-item, .skill-category');
-        animatedElements.forEach(el => {
-            observer.observe(el);
-        });
+        observeAnimatedElements(document.querySelectorAll('.project-card, .experience-item, .skill-category'));
     }
     
     console.log('🎬 Animaciones de scroll inicializadas');
 }
 
+/**
+ * Registra elementos en el observer de animaciones
+ * Permite animar contenido generado después de la carga
+ */
+function observeAnimatedElements(elements) {
+    if (!scrollAnimationObserver) return;
+    
+    // Con movimiento reducido el contenido aparece ya visible, sin esperar al scroll
+    if (state.reducedMotion) {
+        elements.forEach(el => el.classList.add('animate-in'));
+        return;
+    }
+    
+    elements.forEach(el => {
+        scrollAnimationObserver.observe(el);
+    });
+}
+
 // ========================================
 // OPTIMIZACIONES DE PERFORMANCE
 // ========================================
@@ -876,8 +5840,7 @@ function initializePerformanceOptimizations() {
     // Lazy loading para imágenes
     initializeLazyLoading();
     
-    // Preload de recursos críticos
-    preloadCriticalResources();
+    // Las fuentes externas dependen del consentimiento: las carga loadExternalFonts
     
     console.log('⚡ Optimizaciones de performance aplicadas');
 }
@@ -889,8 +5852,7 @@ function initializePerformanceOptimizations() {
 function handleScroll() {
     state.scrollPosition = window.pageYOffset;
     
-    // Actualizar navegación activa
-    updateActiveNavigation();
+    trackScrollDepth();
     
     // Efectos de parallax suaves (opcional)
     updateParallaxEffects();
@@ -920,6 +5882,7 @@ function initializeLazyLoading() {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     const img = entry.target;
+                    if (img.dataset.srcset) img.srcset = img.dataset.srcset;
                     img.src = img.dataset.src || img.src;
                     img.classList.remove('lazy');
                     imageObserver.unobserve(img);
@@ -933,19 +5896,6 @@ function initializeLazyLoading() {
     }
 }
 
-/**
- * Precarga recursos críticos
- * Mejora la percepción de velocidad
- */
-function preloadCriticalResources() {
-    // Preload de fuentes críticas
-    const fontPreload = document.createElement('link');
-    fontPreload.rel = 'preload';
-    fontPreload.href = 'https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&family=Inter:wght@300;400;500;600&display=swap';
-    fontPreload.as = 'style';
-    document.head.appendChild(fontPreload);
-}
-
 // ========================================
 // UTILIDADES Y HELPERS
 // ========================================
@@ -981,13 +5931,100 @@ function debounce(func, delay) {
     };
 }
 
+/**
+ * Identificador aleatorio para envíos y sesiones de analítica
+ * Usa crypto.randomUUID cuando existe y un valor basado en tiempo si no
+ */
+function generateId() {
+    return window.crypto && crypto.randomUUID
+        ? crypto.randomUUID()
+        : Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+/**
+ * Fecha de hoy en formato YYYY-MM-DD (zona horaria local)
+ * Es el formato de los input type="date", comparable como texto
+ */
+function getTodayIsoDate() {
+    const now = new Date();
+    return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+/**
+ * Formatea un tamaño en bytes para mostrarlo (KB o MB)
+ */
+function formatFileSize(bytes) {
+    if (bytes < 1024 * 1024) {
+        return Math.max(1, Math.round(bytes / 1024)) + ' KB';
+    }
+    return (bytes / (1024 * 1024)).toFixed(1).replace(/\.0$/, '') + ' MB';
+}
+
+/**
+ * Indica si la página se sirve en local (desarrollo)
+ * Activa logs informativos y overrides de configuración por URL
+ */
+function isLocalEnvironment() {
+    return window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+}
+
+/**
+ * Lee una lista JSON de localStorage
+ * Un valor ausente o corrupto se trata como lista vacía
+ */
+function readStorageList(key) {
+    try {
+        const list = JSON.parse(readStorage(key) || '[]');
+        return Array.isArray(list) ? list : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Lee un valor de localStorage de forma segura
+ * Devuelve null si el almacenamiento no está disponible (modo privado, bloqueo)
+ */
+function readStorage(key) {
+    try {
+        return window.localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Guarda un valor en localStorage de forma segura
+ * Los fallos de cuota o permisos no interrumpen la experiencia
+ */
+function writeStorage(key, value) {
+    try {
+        window.localStorage.setItem(key, value);
+    } catch (error) {
+        console.warn('⚠️ No se pudo guardar en localStorage:', key);
+    }
+}
+
+/**
+ * Elimina un valor de localStorage de forma segura
+ */
+function removeStorage(key) {
+    try {
+        window.localStorage.removeItem(key);
+    } catch (error) {
+        // Sin almacenamiento no hay nada que limpiar
+    }
+}
+
 /**
  * Actualiza efectos de parallax (opcional)
  * Crea profundidad visual sutil
  */
 function updateParallaxEffects() {
     const heroImage = document.querySelector('.profile-image');
-    if (heroImage) {
+    if (heroImage && state.reducedMotion) {
+        heroImage.style.transform = '';
+    } else if (heroImage) {
         const scrolled = window.pageYOffset;
         const rate = scrolled * -0.5;
         heroImage.style.transform = `translateY(${rate}px)`;
@@ -1009,21 +6046,36 @@ function updateScrollPositions() {
 
 /**
  * Maneja errores de carga de imágenes
- * Fallback para mejorar la experiencia
+ * Sustituye la imagen por un SVG generado en local: no depende de otro servicio remoto
  */
 function handleImageError(img) {
-    img.src = 'https://via.placeholder.com/400x250?text=Imagen+no+disponible';
-    img.alt = 'Imagen no disponible';
-    console.warn('Error cargando imagen:', img.src);
+    // El placeholder no puede fallar, pero se evita cualquier bucle de errores
+    if (img.dataset.fallback) return;
+    img.dataset.fallback = 'true';
+    
+    console.warn('⚠️ Error cargando imagen:', img.currentSrc || img.src);
+    
+    // Sin srcset el navegador no vuelve a elegir otra variante rota
+    clearImagePlaceholder(img);
+    img.removeAttribute('srcset');
+    img.removeAttribute('sizes');
+    renderImageFallback(img);
+    
+    // Se conserva el texto alternativo: el aviso se antepone y las decorativas (alt="") siguen mudas
+    if (img.alt) img.alt = `${t('image.unavailable')}: ${img.alt}`;
 }
 
-// Aplicar manejo de errores a todas las imágenes
-document.addEventListener('DOMContentLoaded', () => {
-    const images = document.querySelectorAll('img');
-    images.forEach(img => {
-        img.addEventListener('error', () => handleImageError(img));
-    });
-});
+/**
+ * Pinta el placeholder de una imagen rota con los colores del tema actual
+ * applyTheme lo repite en las ya sustituidas al cambiar de tema
+ */
+function renderImageFallback(img) {
+    img.src = createImagePlaceholder(
+        Number(img.getAttribute('width')) || 400,
+        Number(img.getAttribute('height')) || 250,
+        t('image.unavailable')
+    );
+}
 
 // ========================================
 // LOGGING Y DEBUGGING
@@ -1035,7 +6087,7 @@ document.addEventListener('DOMContentLoaded', () => {
  */
 const logger = {
     info: (message, data) => {
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+        if (isLocalEnvironment()) {
             console.log(`ℹ️ ${message}`, data || '');
         }
     },
@@ -1047,6 +6099,169 @@ const logger = {
     }
 };
 
+// ========================================
+// API PÚBLICA Y EVENTOS
+// ========================================
+
+// Suscriptores por nombre de evento: ready, section:change, modal:open, modal:close,
+// form:submit, form:success, form:queued y form:error
+const eventListeners = {};
+
+/**
+ * Suscribe un handler a un evento del portafolio
+ * Devuelve una función que cancela la suscripción
+ */
+function subscribe(name, handler) {
+    if (typeof handler !== 'function') return () => {};
+    
+    (eventListeners[name] = eventListeners[name] || []).push(handler);
+    return () => unsubscribe(name, handler);
+}
+
+/**
+ * Retira un handler suscrito con subscribe
+ */
+function unsubscribe(name, handler) {
+    if (!eventListeners[name]) return;
+    eventListeners[name] = eventListeners[name].filter(listener => listener !== handler);
+}
+
+/**
+ * Notifica un evento a sus suscriptores
+ * Un widget externo que falla no debe romper el resto del portafolio
+ */
+function emit(name, detail = {}) {
+    (eventListeners[name] || []).slice().forEach(handler => {
+        try {
+            handler(detail);
+        } catch (error) {
+            console.error(`❌ Error en un suscriptor de "${name}":`, error);
+        }
+    });
+}
+
+/**
+ * Copia del estado visible desde fuera: modificarla no afecta al portafolio
+ */
+function getPublicState() {
+    return {
+        locale: state.locale,
+        theme: state.theme,
+        reducedMotion: state.reducedMotion,
+        section: scrollSpy.current,
+        modal: {
+            open: state.isModalOpen,
+            project: state.currentProject
+        },
+        filters: {
+            tags: state.filters.tags.slice(),
+            sort: state.filters.sort,
+            query: state.filters.query
+        },
+        formStep: state.formStep,
+        consent: {
+            functional: hasConsent('functional'),
+            analytics: hasConsent('analytics')
+        }
+    };
+}
+
+/**
+ * Abre un case study desde la API pública
+ * Resuelve false si el proyecto no existe en case-studies.json
+ */
+function openCaseStudyById(projectId) {
+    return loadCaseStudies()
+        .then(() => {
+            if (!getCaseStudy(projectId)) {
+                console.warn('⚠️ Case study no encontrado:', projectId);
+                return false;
+            }
+            
+            openCaseStudy(projectId);
+            return true;
+        })
+        .catch(() => false);
+}
+
+/**
+ * Lleva a una sección de la página por su id ('about' o '#about')
+ * Cierra antes el case study abierto: con el modal la página está inerte
+ */
+function navigateTo(sectionId) {
+    const target = document.getElementById(String(sectionId || '').replace(/^#/, ''));
+    if (!target) return false;
+    
+    // Si el modal se abrió con pushState, closeModal() hace history.back():
+    // el desplazamiento espera a su popstate para que no lo pise el scroll restaurado
+    const waitsForHistory = state.isModalOpen && Boolean(history.state && history.state.caseStudy);
+    
+    if (waitsForHistory) {
+        window.addEventListener('popstate', () => scrollToElement(target), { once: true });
+    }
+    
+    closeModal();
+    if (!waitsForHistory) scrollToElement(target);
+    return true;
+}
+
+/**
+ * Rellena el formulario con los campos recibidos y lo envía por el flujo normal
+ * Pasa por la misma validación y anti-spam; los adjuntos solo se añaden desde el formulario
+ * Resuelve con el detalle de form:success o form:queued y rechaza con el de form:error,
+ * siempre los de su propio envío (mismo id) aunque haya otros en curso
+ */
+function submitContact(fields = {}) {
+    if (!DOM.contactForm) return Promise.reject(new Error('Formulario de contacto no disponible'));
+    
+    BRIEF_FIELDS.forEach(name => {
+        const field = DOM.contactForm.elements[name];
+        // value también marca la opción correspondiente en un grupo de radios
+        if (field && fields[name] !== undefined) field.value = String(fields[name]);
+    });
+    
+    const id = generateId();
+    
+    return new Promise((resolve, reject) => {
+        const stop = () => subscriptions.forEach(cancel => cancel());
+        const own = handler => detail => {
+            if (detail.id !== id) return;
+            stop();
+            handler(detail);
+        };
+        const subscriptions = [
+            subscribe('form:success', own(resolve)),
+            subscribe('form:queued', own(detail => resolve(Object.assign({ queued: true }, detail)))),
+            subscribe('form:error', own(detail => {
+                reject(Object.assign(new Error(`Envío rechazado (${detail.reason})`), { detail: detail }));
+            }))
+        ];
+        
+        submitContactForm({ id: id });
+    });
+}
+
+/**
+ * API para scripts de terceros e integraciones (analítica, chat, widgets propios)
+ * Disponible en cuanto se ejecuta script.js; "ready" avisa cuando todo está inicializado
+ */
+window.Portfolio = Object.freeze({
+    on: subscribe,
+    off: unsubscribe,
+    once(name, handler) {
+        const cancel = subscribe(name, detail => {
+            cancel();
+            handler(detail);
+        });
+        return cancel;
+    },
+    openCaseStudy: openCaseStudyById,
+    closeModal: () => closeModal(),
+    navigateTo: navigateTo,
+    submitContact: submitContact,
+    getState: getPublicState
+});
+
 // ========================================
 // INICIALIZACIÓN FINAL
 // ========================================
@@ -0,0 +1,233 @@
+/**
+ * SERVICE WORKER - PORTAFOLIO JOHN RODRIGUEZ
+ * Precarga el sitio y los case studies para poder enseñarlos sin conexión
+ *
+ * Estrategias:
+ *   - Navegación: red primero; sin red, index.html en caché y por último offline.html
+ *   - case-studies.json: red primero para ver siempre los datos publicados
+ *   - Imágenes de proyectos: stale-while-revalidate; los originales precargados van en una caché aparte que no se recorta
+ *   - Resto de recursos propios: caché de la versión instalada
+ *
+ * Subir CACHE_VERSION en cada despliegue: el navegador detecta el cambio
+ * y la página ofrece recargar con la versión nueva.
+ */
+
+const CACHE_VERSION = 'v1';
+const STATIC_CACHE = `portfolio-static-${CACHE_VERSION}`;
+
+// Originales de los case studies: precargados al instalar y nunca recortados
+const CASE_IMAGE_CACHE = `portfolio-case-images-${CACHE_VERSION}`;
+
+// Variantes que pide la página al navegar (srcset): se recortan por antigüedad
+const IMAGE_CACHE = `portfolio-images-${CACHE_VERSION}`;
+
+const CURRENT_CACHES = [STATIC_CACHE, CASE_IMAGE_CACHE, IMAGE_CACHE];
+
+// Imágenes máximas en IMAGE_CACHE; al superarlas se descartan las más antiguas
+const IMAGE_CACHE_LIMIT = 80;
+
+const OFFLINE_PAGE = 'offline.html';
+const CASE_STUDIES_URL = 'case-studies.json';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'script.js',
+    'styles.css',
+    CASE_STUDIES_URL,
+    OFFLINE_PAGE,
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-maskable.svg'
+];
+
+// Servidores de imágenes de los proyectos (ver IMAGE_PROVIDERS en script.js)
+const IMAGE_HOSTS = ['res.cloudinary.com', 'picsum.photos', 'fastly.picsum.photos'];
+
+// ========================================
+// CICLO DE VIDA
+// ========================================
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(precacheCaseStudyImages)
+    );
+    
+    // Sin skipWaiting: la versión nueva espera a que el visitante acepte recargar
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('portfolio-') && !CURRENT_CACHES.includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// La página envía SKIP_WAITING cuando el visitante acepta la actualización
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// ========================================
+// ESTRATEGIAS DE RED
+// ========================================
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (IMAGE_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(event));
+    } else if (url.origin !== self.location.origin) {
+        // Terceros (fuentes, chat, analítica): dependen del consentimiento, nunca se guardan
+        return;
+    } else if (url.pathname.endsWith(`/${CASE_STUDIES_URL}`)) {
+        event.respondWith(networkFirst(event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+/**
+ * Navegación: red primero para no servir HTML antiguo con conexión
+ * ?case=<id> y demás parámetros comparten el mismo index.html en caché
+ */
+function handleNavigation(request) {
+    return fetch(request)
+        .catch(() => caches.match(request, { ignoreSearch: true })
+            .then(cached => cached || caches.match('index.html'))
+            .then(cached => cached || caches.match(OFFLINE_PAGE)));
+}
+
+/**
+ * Datos: red primero y copia en caché para cuando no haya conexión
+ * La escritura se encadena a event.waitUntil para que el worker no se detenga a mitad
+ */
+function networkFirst(event) {
+    const request = event.request;
+    const fresh = fetch(request).then(response => [response, response.ok ? response.clone() : null]);
+    
+    event.waitUntil(fresh
+        .then(([, copy]) => copy && caches.open(STATIC_CACHE).then(cache => cache.put(request, copy)))
+        .catch(() => {}));
+    
+    return fresh
+        .then(([response]) => response)
+        .catch(() => caches.match(request));
+}
+
+function cacheFirst(request) {
+    return caches.match(request, { ignoreSearch: true })
+        .then(cached => cached || fetch(request));
+}
+
+/**
+ * Imágenes: respuesta inmediata desde caché y actualización en segundo plano
+ * Sin red, cualquier otra variante guardada de la misma imagen sirve de sustituta
+ */
+function staleWhileRevalidate(event) {
+    const request = event.request;
+    const opened = Promise.all([caches.open(CASE_IMAGE_CACHE), caches.open(IMAGE_CACHE)]);
+    // Dos copias desde el principio: una para la página y otra para la caché
+    const fresh = fetchImage(request.url).then(response => [response, response.clone()]);
+    
+    // La actualización en segundo plano forma parte del evento (event.waitUntil)
+    event.waitUntil(Promise.all([opened, fresh])
+        .then(([[, cache], [, copy]]) => cache.put(request, copy).then(() => trimImageCache(cache)))
+        .catch(() => {}));
+    
+    return opened.then(([caseCache, cache]) => (
+        caches.match(request).then(cached => cached || fresh
+            .then(([response]) => response)
+            // Sin CORS se sirve la respuesta opaca de siempre, pero no se guarda
+            .catch(() => fetch(request))
+            .catch(() => findImageVariant([caseCache, cache], request.url).then(variant => variant || Response.error())))
+    ));
+}
+
+/**
+ * Descarga una imagen en modo CORS (Cloudinary y picsum lo permiten)
+ * Una respuesta opaca ocuparía en la cuota mucho más que su tamaño real: nunca se guarda
+ */
+function fetchImage(url) {
+    return fetch(url, { mode: 'cors', credentials: 'omit' }).then(response => {
+        if (!response.ok) throw new Error(`Imagen no disponible: ${response.status}`);
+        return response;
+    });
+}
+
+// ========================================
+// IMÁGENES DE LOS CASE STUDIES
+// ========================================
+
+/**
+ * Precarga las imágenes originales de todos los proyectos
+ * La página pide variantes por ancho (srcset); sin red se sirve el original en su lugar
+ */
+function precacheCaseStudyImages() {
+    return caches.match(CASE_STUDIES_URL)
+        .then(response => response ? response.json() : { projects: [] })
+        .then(data => {
+            const urls = [];
+            
+            (data.projects || []).forEach(project => {
+                if (project.thumbnail) urls.push(project.thumbnail.src);
+                (project.media || []).forEach(item => {
+                    urls.push(item.type === 'video' ? item.poster : item.src);
+                });
+            });
+            
+            return caches.open(CASE_IMAGE_CACHE).then(cache => Promise.all(urls.map(url =>
+                fetchImage(url)
+                    .then(response => cache.put(url, response))
+                    // Una imagen caída no debe impedir que se instale el resto
+                    .catch(() => null))));
+        });
+}
+
+/**
+ * Busca en las cachés otra variante de la misma imagen (la original precargada o otro ancho)
+ */
+function findImageVariant(cacheList, url) {
+    const key = getImageKey(url);
+    
+    return cacheList.reduce((found, cache) => found.then(response => response || cache.keys().then(requests => {
+        const match = requests.find(request => getImageKey(request.url) === key);
+        return match ? cache.match(match) : null;
+    })), Promise.resolve(null));
+}
+
+/**
+ * Identifica una imagen sin sus parámetros de tamaño
+ * Cloudinary: quita las transformaciones tras /upload/; picsum: quita ancho y alto
+ * (la query se conserva: ?random=N distingue imágenes distintas)
+ */
+function getImageKey(url) {
+    return url
+        .replace(/\/image\/upload\/(?:[a-z]{1,3}_[^/]+\/)+(?=v\d+\/)/, '/image/upload/')
+        .replace(/^(https:\/\/picsum\.photos\/(?:seed\/[^/]+\/)?)\d+\/\d+/, '$1');
+}
+
+/**
+ * Mantiene la caché de variantes por debajo de IMAGE_CACHE_LIMIT
+ * Los originales de CASE_IMAGE_CACHE no cuentan: sin ellos no hay case studies sin conexión
+ */
+function trimImageCache(cache) {
+    return cache.keys().then(requests => {
+        const excess = requests.length - IMAGE_CACHE_LIMIT;
+        if (excess <= 0) return;
+        
+        return Promise.all(requests.slice(0, excess).map(request => cache.delete(request)));
+    });
+}
@@ -0,0 +1,135 @@
+/**
+ * Servidor stub para probar los backends del formulario de contacto en local
+ * Sirve el sitio estático y acepta POST en JSON (webhook), urlencoded (netlify) o multipart (formspree y briefs con adjuntos)
+ *
+ * Uso:
+ *   node tools/contact-stub-server.js
+ *   http://localhost:8787/?backend=webhook&endpoint=/contact
+ *   http://localhost:8787/?backend=netlify&endpoint=/contact
+ *   http://localhost:8787/?analytics=endpoint&analyticsEndpoint=/collect (lotes de analítica)
+ *
+ * Variables de entorno:
+ *   PORT         Puerto de escucha (8787 por defecto)
+ *   STUB_STATUS  Código de respuesta a simular (500 o 429 prueban la cola, 400 el fallback por correo)
+ *   STUB_DELAY   Retardo en milisegundos antes de responder
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8787;
+const STUB_STATUS = Number(process.env.STUB_STATUS) || 200;
+const STUB_DELAY = Number(process.env.STUB_DELAY) || 0;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.webp': 'image/webp'
+};
+
+// Idempotency-Key ya vistas: un reintento duplicado no debe contar dos veces
+const seenSubmissions = new Set();
+
+/**
+ * Interpreta el cuerpo según el Content-Type recibido
+ * multipart se muestra en bruto: basta para comprobar los campos a ojo
+ */
+function parseBody(contentType, raw) {
+    if (contentType.includes('application/json')) {
+        return JSON.parse(raw);
+    }
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(raw));
+    }
+    return raw;
+}
+
+/**
+ * Atiende un envío del formulario
+ */
+function handleSubmission(request, response) {
+    let raw = '';
+    request.on('data', chunk => { raw += chunk; });
+    request.on('end', () => {
+        const contentType = request.headers['content-type'] || '';
+        const key = request.headers['idempotency-key'];
+        let body;
+
+        try {
+            body = parseBody(contentType, raw);
+        } catch (error) {
+            sendJson(response, 400, { error: 'Cuerpo inválido' });
+            return;
+        }
+
+        const duplicate = Boolean(key && seenSubmissions.has(key));
+        if (key && STUB_STATUS < 300) seenSubmissions.add(key);
+
+        console.log(`📨 ${request.method} ${request.url} (${contentType.split(';')[0] || 'sin tipo'})${duplicate ? ' [duplicado]' : ''}`);
+        console.log(body);
+
+        setTimeout(() => {
+            sendJson(response, STUB_STATUS, STUB_STATUS < 300
+                ? { ok: true, duplicate: duplicate }
+                : { error: 'Fallo simulado' });
+        }, STUB_DELAY);
+    });
+}
+
+/**
+ * Sirve un archivo estático del sitio
+ */
+function serveStatic(request, response) {
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    } catch (error) {
+        // Una ruta mal codificada (p. ej. /%E0%A4%A) no debe tumbar el servidor
+        response.writeHead(400);
+        response.end('Ruta inválida');
+        return;
+    }
+
+    const filePath = path.join(ROOT, pathname === '/' ? 'index.html' : pathname);
+
+    // Evitar salir del directorio del sitio (también hacia carpetas hermanas con el mismo prefijo)
+    const relative = path.relative(ROOT, filePath);
+    if (relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+        response.writeHead(403);
+        response.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            response.writeHead(404);
+            response.end('No encontrado');
+            return;
+        }
+        response.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        response.end(content);
+    });
+}
+
+function sendJson(response, status, payload) {
+    response.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    response.end(JSON.stringify(payload));
+}
+
+http.createServer((request, response) => {
+    if (request.method === 'POST') {
+        handleSubmission(request, response);
+        return;
+    }
+    serveStatic(request, response);
+}).listen(PORT, () => {
+    console.log(`🧪 Stub de contacto en http://localhost:${PORT} (respuesta ${STUB_STATUS})`);
+});